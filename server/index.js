@@ -1,15 +1,94 @@
+import { watch } from "node:fs";
 import { createServer } from "node:http";
-import { randomUUID } from "node:crypto";
-import { mkdir, readFile, readdir, rename, rm, stat, writeFile } from "node:fs/promises";
+import { createHash, randomUUID } from "node:crypto";
+import { appendFile, mkdir, open, readFile, readdir, rename, rm, stat } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { gunzipSync, gzipSync } from "node:zlib";
+import { ATTACHMENT_MAX_BYTES, ATTACHMENT_TYPES, formatFileSize, isImageAttachment } from "../shared/attachments.js";
+import { PRIORITY_LEVELS, parseQuickEntry } from "../shared/quickEntry.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const TASKS_DIR = path.join(__dirname, "tasks");
+const ATTACHMENTS_TRASH_DIR = path.join(TASKS_DIR, ".trash");
+const PROJECTS_DIR = path.join(__dirname, "projects");
+const FILTERS_FILE = path.join(__dirname, "filters.json");
+const TAGS_FILE = path.join(__dirname, "tags.json");
 const LOGBOOK_DIR = path.join(__dirname, "logbook");
 const LOGBOOK_FILE = path.join(LOGBOOK_DIR, "logbook.jsonl");
+const LOGBOOK_ARCHIVE_DIR = path.join(LOGBOOK_DIR, "archive");
+const LOGBOOK_RETENTION_DAYS = Number(process.env.LOGBOOK_RETENTION_DAYS ?? 0);
+const LOGBOOK_RETENTION_ENTRIES = Number(process.env.LOGBOOK_RETENTION_ENTRIES ?? 0);
+const LOGBOOK_ROTATE_INTERVAL_MS = 60 * 60 * 1000;
+const LOGBOOK_MONTH = /^\d{4}-\d{2}$/;
 const PORT = Number(process.env.PORT || 3001);
+const WATCH_DEBOUNCE_MS = 250;
+const LOGBOOK_PAGE_SIZE = 50;
+const LOGBOOK_MAX_PAGE_SIZE = 200;
+const EVENTS_HEARTBEAT_MS = 25000;
+
+const eventClients = new Set();
+const knownTaskFiles = new Map();
+const storeLocks = new Map();
+const requestBodies = new WeakMap();
+let taskWatchTimer = null;
+let logbookCache = null;
+
+const CHECKLIST_HEADING = "## Checklist";
+const CHECKLIST_LINE = /^[-*] \[([ xX])\] (.*)$/;
+const CODE_FENCE = /^\s{0,3}(```|~~~)/;
+const RECURRENCE_TYPES = ["daily", "weekly", "monthly", "after_completion"];
+const FILTER_TAG_MODES = ["any", "all"];
+const FILTER_DONE_STATES = ["any", "open", "done"];
+const FILTER_DUE_RANGES = ["any", "overdue", "today", "next7", "none", "range"];
+const RESTORABLE_LOG_TYPES = ["task_deleted", "completed_tasks_deleted", "tasks_batch_deleted"];
+const BATCH_ACTIONS = ["complete", "reopen", "add-tag", "remove-tag", "move", "delete"];
+const TASK_BUCKETS = ["inbox", "anytime", "someday", "scheduled"];
+const TAG_COLOR = /^#[0-9a-f]{6}$/i;
+const ATTACHMENT_EXTENSION = /^\.[a-z0-9]{1,10}$/;
+const ATTACHMENT_TASK_ID = /^[A-Za-z0-9_-]{1,128}$/;
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const ATTACHMENT_SIGNATURES = {
+  "image/png": [0x89, 0x50, 0x4e, 0x47],
+  "image/jpeg": [0xff, 0xd8, 0xff],
+  "image/gif": [0x47, 0x49, 0x46, 0x38],
+  "application/pdf": [0x25, 0x50, 0x44, 0x46],
+  "application/zip": ZIP_SIGNATURE,
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ZIP_SIGNATURE,
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ZIP_SIGNATURE,
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": ZIP_SIGNATURE,
+};
+const TASK_DIFF_FIELDS = [
+  "title",
+  "description",
+  "checklist",
+  "tags",
+  "when",
+  "startDate",
+  "dueDate",
+  "dueTime",
+  "priority",
+  "projectId",
+  "recurrence",
+];
+const MUTATION_STORES = {
+  collection: "tasks",
+  completed: "tasks",
+  reorder: "tasks",
+  batch: "tasks",
+  attachments: "tasks",
+  attachment: "tasks",
+  "delete-tag": "tasks",
+  "rename-tag": "tasks",
+  "merge-tags": "tasks",
+  restore: "tasks",
+  item: "tasks",
+  projects: "projects",
+  project: "projects",
+  filters: "filters",
+  filter: "filters",
+};
 
 const seedTasks = [
   {
@@ -59,26 +138,44 @@ function inferDefaultTags(taskId) {
   return Array.isArray(tags) && tags.length > 0 ? tags : ["General"];
 }
 
-function normalizeTags(inputTags, fallbackTaskId) {
-  const rawTags = Array.isArray(inputTags)
-    ? inputTags
-    : inputTags == null
-      ? inferDefaultTags(fallbackTaskId)
-      : String(inputTags).includes(",")
-        ? String(inputTags).split(",")
-        : [inputTags];
+function normalizeTagPath(value) {
+  return String(value ?? "")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join("/");
+}
+
+function tagMatchesPath(tag, parent) {
+  const tagKey = String(tag).toLowerCase();
+  const parentKey = String(parent).toLowerCase();
+  return tagKey === parentKey || tagKey.startsWith(`${parentKey}/`);
+}
 
+function uniqueTags(rawTags) {
   const tags = [];
   const seen = new Set();
   for (const value of rawTags) {
-    const tag = String(value ?? "").trim();
+    const tag = normalizeTagPath(value);
     if (!tag) continue;
     const key = tag.toLowerCase();
     if (seen.has(key)) continue;
     seen.add(key);
     tags.push(tag);
   }
+  return tags;
+}
+
+function normalizeTags(inputTags, fallbackTaskId) {
+  const rawTags = Array.isArray(inputTags)
+    ? inputTags
+    : inputTags == null
+      ? inferDefaultTags(fallbackTaskId)
+      : String(inputTags).includes(",")
+        ? String(inputTags).split(",")
+        : [inputTags];
 
+  const tags = uniqueTags(rawTags);
   return tags.length > 0 ? tags : ["General"];
 }
 
@@ -91,20 +188,277 @@ function slugify(input) {
     .slice(0, 64) || "task";
 }
 
+function normalizeDate(value) {
+  if (value == null) return null;
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return `${year}-${month}-${day}`;
+}
+
+function normalizeTime(value) {
+  const match = String(value ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+function normalizePriority(value) {
+  const priority = Number(value);
+  return PRIORITY_LEVELS.some((level) => level.value === priority) ? priority : 0;
+}
+
+function localDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function dateKeyToUtc(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function utcToDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateKey, days) {
+  const date = dateKeyToUtc(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return utcToDateKey(date);
+}
+
+function addMonths(dateKey, months, dayOfMonth) {
+  const date = dateKeyToUtc(dateKey);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return utcToDateKey(target);
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((dateKeyToUtc(toKey) - dateKeyToUtc(fromKey)) / 86400000);
+}
+
+function normalizePositiveInteger(value, fallback = 1) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? Math.min(number, 365) : fallback;
+}
+
+function normalizeRecurrence(value) {
+  if (!value || typeof value !== "object") return null;
+  const type = String(value.type ?? "").trim().toLowerCase();
+  if (!RECURRENCE_TYPES.includes(type)) return null;
+
+  if (type === "weekly") {
+    const weekdays = Array.from(
+      new Set(
+        (Array.isArray(value.weekdays) ? value.weekdays : [])
+          .map(Number)
+          .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+      )
+    ).sort((a, b) => a - b);
+    return weekdays.length > 0 ? { type, weekdays } : null;
+  }
+
+  if (type === "after_completion") {
+    return { type, days: normalizePositiveInteger(value.days) };
+  }
+
+  return { type, interval: normalizePositiveInteger(value.interval) };
+}
+
+function nextOccurrenceDate(recurrence, anchorKey, completedKey) {
+  if (recurrence.type === "after_completion") {
+    return addDays(completedKey, recurrence.days);
+  }
+
+  const floorKey = anchorKey > completedKey ? anchorKey : completedKey;
+
+  if (recurrence.type === "weekly") {
+    let candidate = addDays(floorKey, 1);
+    while (!recurrence.weekdays.includes(dateKeyToUtc(candidate).getUTCDay())) {
+      candidate = addDays(candidate, 1);
+    }
+    return candidate;
+  }
+
+  if (recurrence.type === "monthly") {
+    const dayOfMonth = dateKeyToUtc(anchorKey).getUTCDate();
+    let months = recurrence.interval;
+    let candidate = addMonths(anchorKey, months, dayOfMonth);
+    while (candidate <= completedKey) {
+      months += recurrence.interval;
+      candidate = addMonths(anchorKey, months, dayOfMonth);
+    }
+    return candidate;
+  }
+
+  let candidate = addDays(anchorKey, recurrence.interval);
+  while (candidate <= completedKey) {
+    candidate = addDays(candidate, recurrence.interval);
+  }
+  return candidate;
+}
+
+function buildNextOccurrence(task, completedKey = localDateKey()) {
+  const anchorKey = task.dueDate ?? task.startDate ?? completedKey;
+  const nextKey = nextOccurrenceDate(task.recurrence, anchorKey, completedKey);
+  const shift = daysBetween(anchorKey, nextKey);
+  const startDate = task.startDate ? addDays(task.startDate, shift) : task.dueDate ? null : nextKey;
+  const now = new Date().toISOString();
+
+  return normalizeTask({
+    ...task,
+    id: randomUUID(),
+    done: false,
+    checklist: task.checklist.map((item) => ({ ...item, done: false })),
+    when: startDate ? "scheduled" : task.when,
+    startDate,
+    dueDate: task.dueDate ? addDays(task.dueDate, shift) : null,
+    nextOccurrenceId: null,
+    attachments: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+async function planNextOccurrence(before, after, taskExists) {
+  if (!after.done || before.done || !after.recurrence) return null;
+  if (after.nextOccurrenceId && (await taskExists(after.nextOccurrenceId))) return null;
+  const nextTask = buildNextOccurrence(after);
+  after.nextOccurrenceId = nextTask.id;
+  return nextTask;
+}
+
+function logNextOccurrence(nextRecord, previousTaskId) {
+  return appendLogEntry("recurring_task_created", {
+    taskId: nextRecord.task.id,
+    title: nextRecord.task.title,
+    previousTaskId,
+    task: nextRecord.task,
+  });
+}
+
+function normalizeWhen(value, startDate) {
+  const when = String(value ?? "").trim().toLowerCase();
+  if (TASK_BUCKETS.includes(when)) return when;
+  return startDate ? "scheduled" : "inbox";
+}
+
+function normalizeChecklist(items) {
+  if (!Array.isArray(items)) return [];
+  const checklist = [];
+  for (const item of items) {
+    const text = String(typeof item === "object" && item !== null ? item.text ?? "" : item ?? "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!text) continue;
+    checklist.push({ text, done: Boolean(item?.done) });
+  }
+  return checklist;
+}
+
+function splitChecklist(body) {
+  const lines = String(body).split("\n");
+  let fence = null;
+  let headingIndex = -1;
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(CODE_FENCE);
+    if (fenceMatch && (!fence || fenceMatch[1] === fence)) {
+      fence = fence ? null : fenceMatch[1];
+    } else if (!fence && line.trim() === CHECKLIST_HEADING) {
+      headingIndex = index;
+    }
+  });
+
+  const blockLines = headingIndex === -1 ? [] : lines.slice(headingIndex + 1).filter((line) => line.trim());
+  if (headingIndex === -1 || !blockLines.every((line) => CHECKLIST_LINE.test(line))) {
+    return { description: String(body).trim(), checklist: [] };
+  }
+
+  const checklist = blockLines.map((line) => {
+    const match = line.match(CHECKLIST_LINE);
+    return { text: match[2], done: match[1] !== " " };
+  });
+  return { description: lines.slice(0, headingIndex).join("\n").trim(), checklist: normalizeChecklist(checklist) };
+}
+
+function checklistToMarkdown(checklist) {
+  if (checklist.length === 0) return "";
+  return [CHECKLIST_HEADING, "", ...checklist.map((item) => `- [${item.done ? "x" : " "}] ${item.text}`)].join("\n");
+}
+
+function normalizeAttachments(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter((item) => item && typeof item === "object" && item.id && item.fileName)
+    .map((item) => ({
+      id: String(item.id),
+      name: String(item.name ?? item.fileName),
+      fileName: path.basename(String(item.fileName)),
+      type: String(item.type ?? "application/octet-stream"),
+      size: Number(item.size) || 0,
+      addedAt: item.addedAt || new Date().toISOString(),
+    }));
+}
+
 function normalizeTask(task) {
   const id = String(task.id);
   return {
     id,
     title: String(task.title ?? "Untitled").trim() || "Untitled",
     description: String(task.description ?? ""),
+    checklist: normalizeChecklist(task.checklist),
     tags: normalizeTags(task.tags ?? task.tag, id),
     done: Boolean(task.done),
+    when: normalizeWhen(task.when, normalizeDate(task.startDate)),
+    startDate: normalizeDate(task.startDate),
+    dueDate: normalizeDate(task.dueDate),
+    dueTime: normalizeDate(task.dueDate) ? normalizeTime(task.dueTime) : null,
+    priority: normalizePriority(task.priority),
+    projectId: task.projectId ? String(task.projectId) : null,
+    recurrence: normalizeRecurrence(task.recurrence),
+    nextOccurrenceId: task.nextOccurrenceId ? String(task.nextOccurrenceId) : null,
+    attachments: normalizeAttachments(task.attachments),
     order: Number.isFinite(task.order) ? Number(task.order) : 0,
     createdAt: task.createdAt || new Date().toISOString(),
     updatedAt: task.updatedAt || new Date().toISOString(),
   };
 }
 
+function diffTaskFields(before, after) {
+  const changes = {};
+  for (const field of TASK_DIFF_FIELDS) {
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+function contentEtag(content) {
+  return createHash("sha1").update(content).digest("hex").slice(0, 16);
+}
+
+function parseIfMatch(req) {
+  const header = req.headers["if-match"];
+  if (!header) return null;
+  return String(header)
+    .split(",")
+    .map((value) => value.trim().replace(/^W\//, "").replace(/^"|"$/g, ""))
+    .filter(Boolean);
+}
+
+function etagMatches(req, etag) {
+  const expected = parseIfMatch(req);
+  if (!expected) return true;
+  return expected.includes("*") || expected.includes(etag);
+}
+
 function taskFilename(task) {
   return `${task.id}--${slugify(task.title)}.md`;
 }
@@ -125,19 +479,28 @@ function taskToMarkdown(rawTask) {
     `title: ${toFrontmatterValue(task.title)}`,
     `tags: ${toFrontmatterValue(task.tags)}`,
     `done: ${toFrontmatterValue(task.done)}`,
+    `when: ${toFrontmatterValue(task.when)}`,
+    ...(task.startDate ? [`startDate: ${toFrontmatterValue(task.startDate)}`] : []),
+    ...(task.dueDate ? [`dueDate: ${toFrontmatterValue(task.dueDate)}`] : []),
+    ...(task.dueTime ? [`dueTime: ${toFrontmatterValue(task.dueTime)}`] : []),
+    ...(task.priority ? [`priority: ${toFrontmatterValue(task.priority)}`] : []),
+    ...(task.projectId ? [`projectId: ${toFrontmatterValue(task.projectId)}`] : []),
+    ...(task.recurrence ? [`recurrence: ${toFrontmatterValue(task.recurrence)}`] : []),
+    ...(task.nextOccurrenceId ? [`nextOccurrenceId: ${toFrontmatterValue(task.nextOccurrenceId)}`] : []),
+    ...(task.attachments.length ? [`attachments: ${toFrontmatterValue(task.attachments)}`] : []),
     `order: ${toFrontmatterValue(task.order)}`,
     `createdAt: ${toFrontmatterValue(task.createdAt)}`,
     `updatedAt: ${toFrontmatterValue(task.updatedAt)}`,
     "---",
     "",
-    task.description.trimEnd(),
+    [task.description.trimEnd(), checklistToMarkdown(task.checklist)].filter(Boolean).join("\n\n"),
     "",
   ];
 
   return lines.join("\n");
 }
 
-function parseMarkdownTask(content) {
+function parseFrontmatter(content) {
   const match = content.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
   if (!match) {
     throw new Error("Missing frontmatter block.");
@@ -160,33 +523,217 @@ function parseMarkdownTask(content) {
     }
   }
 
+  return { meta, body };
+}
+
+function parseMarkdownTask(content) {
+  const { meta, body } = parseFrontmatter(content);
+  const { description, checklist } = splitChecklist(body);
   return normalizeTask({
     ...meta,
-    description: body.trim(),
+    description,
+    checklist,
   });
 }
 
-async function ensureTasksDir() {
-  await mkdir(TASKS_DIR, { recursive: true });
+function normalizeProject(project) {
+  return {
+    id: String(project.id),
+    title: String(project.title ?? "Untitled Project").trim() || "Untitled Project",
+    notes: String(project.notes ?? ""),
+    order: Number.isFinite(project.order) ? Number(project.order) : 0,
+    createdAt: project.createdAt || new Date().toISOString(),
+    updatedAt: project.updatedAt || new Date().toISOString(),
+  };
 }
 
-async function ensureLogbookStorage() {
-  await mkdir(LOGBOOK_DIR, { recursive: true });
+function projectFilename(project) {
+  return `${project.id}--${slugify(project.title)}.md`;
+}
+
+function projectToMarkdown(rawProject) {
+  const project = normalizeProject(rawProject);
+  const lines = [
+    "---",
+    `id: ${toFrontmatterValue(project.id)}`,
+    `title: ${toFrontmatterValue(project.title)}`,
+    `order: ${toFrontmatterValue(project.order)}`,
+    `createdAt: ${toFrontmatterValue(project.createdAt)}`,
+    `updatedAt: ${toFrontmatterValue(project.updatedAt)}`,
+    "---",
+    "",
+    project.notes.trimEnd(),
+    "",
+  ];
+
+  return lines.join("\n");
+}
+
+function parseMarkdownProject(content) {
+  const { meta, body } = parseFrontmatter(content);
+  return normalizeProject({
+    ...meta,
+    notes: body.trim(),
+  });
+}
+
+function normalizeSmartFilter(filter) {
+  const dueFrom = normalizeDate(filter.dueFrom);
+  const dueTo = normalizeDate(filter.dueTo);
+  const due = FILTER_DUE_RANGES.includes(filter.due) ? filter.due : dueFrom || dueTo ? "range" : "any";
+  return {
+    id: String(filter.id),
+    name: String(filter.name ?? "").trim() || "Untitled Filter",
+    tagMode: FILTER_TAG_MODES.includes(filter.tagMode) ? filter.tagMode : "any",
+    tags: Array.isArray(filter.tags) ? uniqueTags(filter.tags) : [],
+    excludeTags: Array.isArray(filter.excludeTags) ? uniqueTags(filter.excludeTags) : [],
+    done: FILTER_DONE_STATES.includes(filter.done) ? filter.done : "open",
+    due,
+    dueFrom: due === "range" ? dueFrom : null,
+    dueTo: due === "range" ? dueTo : null,
+    text: String(filter.text ?? "").trim(),
+    order: Number.isFinite(filter.order) ? Number(filter.order) : 0,
+    createdAt: filter.createdAt || new Date().toISOString(),
+    updatedAt: filter.updatedAt || new Date().toISOString(),
+  };
+}
+
+async function readSmartFilters() {
+  let raw = "";
   try {
-    await readFile(LOGBOOK_FILE, "utf8");
+    raw = await readFile(FILTERS_FILE, "utf8");
   } catch (error) {
-    if (error.code === "ENOENT") {
-      await writeFile(LOGBOOK_FILE, "", "utf8");
-      return;
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    throw new Error("filters.json is not valid JSON. Fix or remove the file before changing smart filters.");
+  }
+
+  const filters = (Array.isArray(data?.filters) ? data.filters : []).map(normalizeSmartFilter);
+  return filters.sort((a, b) => a.order - b.order || String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+async function writeSmartFilters(filters, req) {
+  await writeFileAtomic(FILTERS_FILE, `${JSON.stringify({ filters }, null, 2)}\n`);
+  broadcastApiEvent(req, "filters.synced", { filters });
+}
+
+function withStoreLock(store, operation) {
+  const previous = storeLocks.get(store) ?? Promise.resolve();
+  const result = previous.then(operation);
+  const settled = result.catch(() => {});
+  storeLocks.set(store, settled);
+  settled.then(() => {
+    if (storeLocks.get(store) === settled) storeLocks.delete(store);
+  });
+  return result;
+}
+
+function tempFilePath(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${randomUUID()}.tmp`);
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tempPath = tempFilePath(filePath);
+  try {
+    const handle = await open(tempPath, "w");
+    try {
+      await handle.writeFile(content, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
     }
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function normalizeTagMeta(meta) {
+  const color = String(meta.color ?? "").trim();
+  const order = meta.order === null || meta.order === "" ? NaN : Number(meta.order);
+  return {
+    name: String(meta.name ?? "").trim(),
+    color: TAG_COLOR.test(color) ? color.toLowerCase() : null,
+    icon: Array.from(String(meta.icon ?? "").trim()).slice(0, 8).join("") || null,
+    description: String(meta.description ?? "").trim(),
+    order: Number.isFinite(order) ? order : null,
+  };
+}
+
+async function readTagRegistry() {
+  let raw = "";
+  try {
+    raw = await readFile(TAGS_FILE, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
     throw error;
   }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    throw new Error("tags.json is not valid JSON. Fix or remove the file before changing tags.");
+  }
+
+  return (Array.isArray(data?.tags) ? data.tags : [])
+    .map(normalizeTagMeta)
+    .filter((meta) => meta.name)
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name));
+}
+
+async function writeTagRegistry(tags, req) {
+  await writeFileAtomic(TAGS_FILE, `${JSON.stringify({ tags }, null, 2)}\n`);
+  broadcastApiEvent(req, "tags.synced", { tags });
+}
+
+function updateTagRegistry(req, update) {
+  return withStoreLock("tags", async () => {
+    const current = await readTagRegistry();
+    const next = update(current);
+    if (next !== current) await writeTagRegistry(next, req);
+    return next;
+  });
+}
+
+function moveTagMeta(registry, sources, target) {
+  const sourceOf = (name) => sources.find((source) => tagMatchesPath(name, source));
+  const moving = registry.filter((meta) => sourceOf(meta.name));
+  if (moving.length === 0) return registry;
+
+  const next = registry.filter((meta) => !sourceOf(meta.name));
+  if (!target) return next;
+  for (const meta of moving) {
+    const name = `${target}${meta.name.slice(sourceOf(meta.name).length)}`;
+    if (!next.some((value) => value.name.toLowerCase() === name.toLowerCase())) next.push({ ...meta, name });
+  }
+  return next;
+}
+
+async function ensureTasksDir() {
+  await mkdir(TASKS_DIR, { recursive: true });
+}
+
+async function ensureProjectsDir() {
+  await mkdir(PROJECTS_DIR, { recursive: true });
+}
+
+async function ensureLogbookStorage() {
+  await mkdir(LOGBOOK_ARCHIVE_DIR, { recursive: true });
+  await appendFile(LOGBOOK_FILE, "", "utf8");
 }
 
 async function readTaskFile(fileName) {
   const filePath = path.join(TASKS_DIR, fileName);
   const content = await readFile(filePath, "utf8");
-  const task = parseMarkdownTask(content);
+  const task = { ...parseMarkdownTask(content), etag: contentEtag(content) };
   return { fileName, filePath, task };
 }
 
@@ -216,19 +763,55 @@ async function writeTask(task, previousFileName = null) {
   const normalized = normalizeTask(task);
   const nextFileName = taskFilename(normalized);
   const nextPath = path.join(TASKS_DIR, nextFileName);
+  const markdown = taskToMarkdown(normalized);
 
-  await writeFile(nextPath, taskToMarkdown(normalized), "utf8");
+  knownTaskFiles.set(nextFileName, { content: markdown, taskId: normalized.id });
+  await writeFileAtomic(nextPath, markdown);
 
   if (previousFileName && previousFileName !== nextFileName) {
-    const previousPath = path.join(TASKS_DIR, previousFileName);
-    try {
-      await rm(previousPath);
-    } catch (error) {
-      if (error.code !== "ENOENT") throw error;
-    }
+    await removeTaskFile(previousFileName);
+  }
+
+  return { fileName: nextFileName, filePath: nextPath, task: { ...normalized, etag: contentEtag(markdown) } };
+}
+
+async function removeTaskFile(fileName) {
+  knownTaskFiles.delete(fileName);
+  try {
+    await rm(path.join(TASKS_DIR, fileName));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+function taskAttachmentsDir(taskId) {
+  return ATTACHMENT_TASK_ID.test(taskId) ? path.join(TASKS_DIR, taskId) : null;
+}
+
+function trashedAttachmentsDir(taskId) {
+  return ATTACHMENT_TASK_ID.test(taskId) ? path.join(ATTACHMENTS_TRASH_DIR, taskId) : null;
+}
+
+async function moveDirectory(source, target) {
+  if (!source || !target) return false;
+  try {
+    await stat(source);
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
   }
+  await mkdir(path.dirname(target), { recursive: true });
+  await rm(target, { recursive: true, force: true });
+  await rename(source, target);
+  return true;
+}
+
+function trashTaskAttachments(taskId) {
+  return moveDirectory(taskAttachmentsDir(taskId), trashedAttachmentsDir(taskId));
+}
 
-  return { fileName: nextFileName, filePath: nextPath, task: normalized };
+function restoreTaskAttachments(originalTaskId, taskId) {
+  return moveDirectory(trashedAttachmentsDir(originalTaskId), taskAttachmentsDir(taskId));
 }
 
 async function ensureSeedTasks() {
@@ -253,6 +836,53 @@ async function findTaskRecordById(taskId) {
   return records.find((record) => record.task.id === taskId) ?? null;
 }
 
+async function readAllProjectRecords() {
+  await ensureProjectsDir();
+  const entries = await readdir(PROJECTS_DIR);
+  const markdownFiles = entries.filter((name) => name.endsWith(".md"));
+
+  const records = [];
+  for (const fileName of markdownFiles) {
+    const filePath = path.join(PROJECTS_DIR, fileName);
+    try {
+      const project = parseMarkdownProject(await readFile(filePath, "utf8"));
+      records.push({ fileName, filePath, project });
+    } catch (error) {
+      console.error(`Failed to parse project ${fileName}:`, error);
+    }
+  }
+
+  records.sort((a, b) => {
+    if (a.project.order !== b.project.order) return a.project.order - b.project.order;
+    return String(a.project.createdAt).localeCompare(String(b.project.createdAt));
+  });
+
+  return records;
+}
+
+async function writeProject(project, previousFileName = null) {
+  const normalized = normalizeProject(project);
+  const nextFileName = projectFilename(normalized);
+  const nextPath = path.join(PROJECTS_DIR, nextFileName);
+
+  await writeFileAtomic(nextPath, projectToMarkdown(normalized));
+
+  if (previousFileName && previousFileName !== nextFileName) {
+    try {
+      await rm(path.join(PROJECTS_DIR, previousFileName));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  return { fileName: nextFileName, filePath: nextPath, project: normalized };
+}
+
+async function findProjectRecordById(projectId) {
+  const records = await readAllProjectRecords();
+  return records.find((record) => record.project.id === projectId) ?? null;
+}
+
 async function appendLogEntry(type, data) {
   await ensureLogbookStorage();
   const entry = {
@@ -262,20 +892,28 @@ async function appendLogEntry(type, data) {
     data,
   };
 
-  const line = `${JSON.stringify(entry)}\n`;
-  let current = "";
-  try {
-    current = await readFile(LOGBOOK_FILE, "utf8");
-  } catch (error) {
-    if (error.code !== "ENOENT") throw error;
-  }
-  await writeFile(LOGBOOK_FILE, current + line, "utf8");
+  await withStoreLock("logbook", () => appendFile(LOGBOOK_FILE, `${JSON.stringify(entry)}\n`, "utf8"));
+  broadcastEvent("logbook.appended", { entry });
   return entry;
 }
 
+function compareLogEntries(a, b) {
+  return String(b.createdAt).localeCompare(String(a.createdAt)) || String(b.id).localeCompare(String(a.id));
+}
+
 async function readLogbookEntries() {
   await ensureLogbookStorage();
-  const raw = await readFile(LOGBOOK_FILE, "utf8");
+  const stats = await stat(LOGBOOK_FILE);
+  if (logbookCache?.mtimeMs === stats.mtimeMs && logbookCache.size === stats.size) {
+    return logbookCache.entries;
+  }
+
+  const entries = parseLogLines(await readFile(LOGBOOK_FILE, "utf8"));
+  logbookCache = { mtimeMs: stats.mtimeMs, size: stats.size, entries };
+  return entries;
+}
+
+function parseLogLines(raw) {
   const entries = [];
   for (const line of raw.split("\n")) {
     const trimmed = line.trim();
@@ -286,20 +924,528 @@ async function readLogbookEntries() {
       console.error("Failed to parse logbook entry:", error);
     }
   }
-  entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
-  return entries;
+  return entries.sort(compareLogEntries);
 }
 
-function sendJson(res, statusCode, payload) {
-  res.writeHead(statusCode, {
-    "Content-Type": "application/json; charset=utf-8",
-    "Cache-Control": "no-store",
-  });
-  res.end(JSON.stringify(payload));
+function serializeLogLines(entries) {
+  return [...entries]
+    .reverse()
+    .map((entry) => `${JSON.stringify(entry)}\n`)
+    .join("");
 }
 
-async function readRequestBody(req) {
-  const chunks = [];
+function archiveFilePath(month) {
+  return path.join(LOGBOOK_ARCHIVE_DIR, `${month}.jsonl.gz`);
+}
+
+async function readArchiveEntries(month) {
+  try {
+    return parseLogLines(gunzipSync(await readFile(archiveFilePath(month))).toString("utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function listLogbookArchives() {
+  await ensureLogbookStorage();
+  const archives = [];
+  for (const fileName of await readdir(LOGBOOK_ARCHIVE_DIR)) {
+    const month = fileName.replace(/\.jsonl\.gz$/, "");
+    if (!LOGBOOK_MONTH.test(month) || month === fileName) continue;
+    const stats = await stat(path.join(LOGBOOK_ARCHIVE_DIR, fileName));
+    archives.push({ month, size: stats.size });
+  }
+  return archives.sort((a, b) => b.month.localeCompare(a.month));
+}
+
+async function appendToArchive(month, entries) {
+  const existing = (await readArchiveEntries(month)) ?? [];
+  const existingIds = new Set(existing.map((entry) => entry.id));
+  const merged = [...existing, ...entries.filter((entry) => !existingIds.has(entry.id))].sort(compareLogEntries);
+  await writeFileAtomic(archiveFilePath(month), gzipSync(serializeLogLines(merged)));
+}
+
+async function rotateLogbook({ archiveAll = false } = {}) {
+  const archived = await withStoreLock("logbook", async () => {
+    const entries = await readLogbookEntries();
+    const cutoff =
+      LOGBOOK_RETENTION_DAYS > 0 ? new Date(Date.now() - LOGBOOK_RETENTION_DAYS * 86400000).toISOString() : null;
+    const keep = [];
+    const byMonth = new Map();
+
+    entries.forEach((entry, index) => {
+      const month = String(entry.createdAt).slice(0, 7);
+      const expired =
+        archiveAll ||
+        (cutoff && String(entry.createdAt) < cutoff) ||
+        (LOGBOOK_RETENTION_ENTRIES > 0 && index >= LOGBOOK_RETENTION_ENTRIES);
+      if (!expired || !LOGBOOK_MONTH.test(month)) {
+        keep.push(entry);
+        return;
+      }
+      byMonth.set(month, [...(byMonth.get(month) ?? []), entry]);
+    });
+
+    if (byMonth.size === 0) return [];
+    for (const [month, monthEntries] of byMonth) {
+      await appendToArchive(month, monthEntries);
+    }
+    await writeFileAtomic(LOGBOOK_FILE, serializeLogLines(keep));
+    return [...byMonth.values()].flat();
+  });
+
+  if (archived.length > 0) {
+    await withStoreLock("tasks", () => purgeTrashedAttachments(archived));
+  }
+  return archived.length;
+}
+
+async function purgeTrashedAttachments(archivedEntries) {
+  const restorableTaskIds = (entries) =>
+    entries.filter((entry) => RESTORABLE_LOG_TYPES.includes(entry.type)).flatMap((entry) => logEntryTaskIds(entry.data ?? {}));
+  const stillRestorable = new Set(restorableTaskIds(await readLogbookEntries()));
+  for (const taskId of new Set(restorableTaskIds(archivedEntries))) {
+    const directory = trashedAttachmentsDir(taskId);
+    if (directory && !stillRestorable.has(taskId)) await rm(directory, { recursive: true, force: true });
+  }
+}
+
+function scheduleLogbookRotation() {
+  const rotate = () =>
+    rotateLogbook()
+      .then((archivedCount) => {
+        if (archivedCount > 0) console.log(`Archived ${archivedCount} logbook entries.`);
+      })
+      .catch((error) => console.error("Failed to rotate the logbook:", error));
+  setInterval(rotate, LOGBOOK_ROTATE_INTERVAL_MS);
+  return rotate();
+}
+
+function logEntryCursor(entry) {
+  return `${entry.createdAt}|${entry.id}`;
+}
+
+function logEntryTaskIds(data) {
+  return [
+    data.taskId,
+    data.task?.id,
+    data.originalTaskId,
+    data.previousTaskId,
+    ...(data.taskIds ?? []),
+    ...(data.tasks ?? []).map((task) => task?.id),
+    ...(data.moves ?? []).map((move) => move.taskId),
+    ...(data.items ?? []).flatMap((item) => [item.taskId, item.nextTaskId]),
+  ].filter(Boolean);
+}
+
+function logEntryTags(data) {
+  return [
+    data.tag,
+    data.from,
+    data.to,
+    data.target,
+    ...(data.sources ?? []),
+    ...(data.task?.tags ?? []),
+    ...(data.beforeTags ?? []),
+    ...(data.tasks ?? []).flatMap((task) => task?.tags ?? []),
+    ...(data.changes?.tags?.before ?? []),
+    ...(data.changes?.tags?.after ?? []),
+  ]
+    .filter(Boolean)
+    .map((tag) => String(tag).toLowerCase());
+}
+
+function parseLogbookTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function parseLogbookQuery(searchParams) {
+  const from = parseLogbookTimestamp(searchParams.get("from"));
+  const to = parseLogbookTimestamp(searchParams.get("to"));
+  if (from === undefined || to === undefined) return null;
+
+  return {
+    types: (searchParams.get("type") ?? "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean),
+    from,
+    to,
+    taskId: searchParams.get("taskId")?.trim() || null,
+    tag: searchParams.get("tag")?.trim().toLowerCase() || null,
+    cursor: searchParams.get("cursor") || null,
+    limit: Math.min(normalizePositiveInteger(searchParams.get("limit"), LOGBOOK_PAGE_SIZE), LOGBOOK_MAX_PAGE_SIZE),
+  };
+}
+
+function matchesLogbookQuery(entry, query) {
+  const data = entry.data ?? {};
+  if (query.types.length > 0 && !query.types.includes(entry.type)) return false;
+  if (query.from && String(entry.createdAt) < query.from) return false;
+  if (query.to && String(entry.createdAt) >= query.to) return false;
+  if (query.taskId && !logEntryTaskIds(data).includes(query.taskId)) return false;
+  if (query.tag && !logEntryTags(data).some((tag) => tagMatchesPath(tag, query.tag))) return false;
+  return true;
+}
+
+async function removeTempFiles(directory) {
+  const entries = await readdir(directory);
+  const tempFiles = entries.filter((name) => name.startsWith(".") && name.endsWith(".tmp"));
+  for (const fileName of tempFiles) {
+    await rm(path.join(directory, fileName), { force: true });
+  }
+  return tempFiles.length;
+}
+
+function pickNewestRecords(records, getItem, getFileName) {
+  const byId = new Map();
+  const duplicates = [];
+  for (const record of records) {
+    const item = getItem(record);
+    const current = byId.get(item.id);
+    if (!current) {
+      byId.set(item.id, record);
+      continue;
+    }
+
+    const currentItem = getItem(current);
+    const newer =
+      String(item.updatedAt).localeCompare(String(currentItem.updatedAt)) ||
+      Number(record.fileName === getFileName(item)) - Number(current.fileName === getFileName(currentItem));
+    if (newer > 0) {
+      byId.set(item.id, record);
+      duplicates.push(current);
+    } else {
+      duplicates.push(record);
+    }
+  }
+  return duplicates;
+}
+
+async function repairLogbook() {
+  const raw = await readFile(LOGBOOK_FILE, "utf8");
+  if (!raw || raw.endsWith("\n")) return false;
+
+  const lastBreak = raw.lastIndexOf("\n");
+  const lastLine = raw.slice(lastBreak + 1);
+  try {
+    JSON.parse(lastLine);
+    await appendFile(LOGBOOK_FILE, "\n", "utf8");
+  } catch {
+    await writeFileAtomic(LOGBOOK_FILE, raw.slice(0, lastBreak + 1));
+  }
+  return true;
+}
+
+async function recoverStorage() {
+  let removedTempFiles = 0;
+  for (const directory of [TASKS_DIR, PROJECTS_DIR, LOGBOOK_DIR, LOGBOOK_ARCHIVE_DIR, __dirname]) {
+    removedTempFiles += await removeTempFiles(directory);
+  }
+  for (const entry of await readdir(TASKS_DIR, { withFileTypes: true })) {
+    if (entry.isDirectory() && !entry.name.startsWith(".")) {
+      removedTempFiles += await removeTempFiles(path.join(TASKS_DIR, entry.name));
+    }
+  }
+
+  const duplicateTasks = pickNewestRecords(await readAllTaskRecords(), (record) => record.task, taskFilename);
+  for (const record of duplicateTasks) {
+    await rm(record.filePath, { force: true });
+  }
+
+  const duplicateProjects = pickNewestRecords(
+    await readAllProjectRecords(),
+    (record) => record.project,
+    projectFilename
+  );
+  for (const record of duplicateProjects) {
+    await rm(record.filePath, { force: true });
+  }
+
+  const repairedLogbook = await repairLogbook();
+
+  if (removedTempFiles || duplicateTasks.length || duplicateProjects.length || repairedLogbook) {
+    console.log(
+      `Storage recovery: removed ${removedTempFiles} temp file(s), ${duplicateTasks.length} duplicate task file(s), ` +
+        `${duplicateProjects.length} duplicate project file(s)${repairedLogbook ? ", repaired logbook" : ""}.`
+    );
+  }
+}
+
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  const pattern = /(\S+?:)?"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query ?? ""))) !== null) {
+    tokens.push(match[1] ? `${match[1]}${match[2]}` : match[2] ?? match[3]);
+  }
+  return tokens.filter(Boolean);
+}
+
+function parseSearchQuery(query) {
+  const parsed = { terms: [], tags: [], done: null, when: null, project: null };
+  for (const token of tokenizeSearchQuery(query)) {
+    const separatorIndex = token.indexOf(":");
+    const key = separatorIndex > 0 ? token.slice(0, separatorIndex).toLowerCase() : "";
+    const value = separatorIndex > 0 ? token.slice(separatorIndex + 1).trim() : "";
+
+    if (key === "tag" && value) {
+      parsed.tags.push(value.toLowerCase());
+    } else if (key === "done" && ["true", "false", "yes", "no"].includes(value.toLowerCase())) {
+      parsed.done = ["true", "yes"].includes(value.toLowerCase());
+    } else if (key === "when" && TASK_BUCKETS.includes(value.toLowerCase())) {
+      parsed.when = value.toLowerCase();
+    } else if (key === "project" && value) {
+      parsed.project = value.toLowerCase();
+    } else {
+      parsed.terms.push(token.toLowerCase());
+    }
+  }
+  return parsed;
+}
+
+function findHighlights(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+function buildSnippet(text, terms, radius = 60) {
+  const highlights = findHighlights(text, terms);
+  if (highlights.length === 0) return null;
+
+  const start = Math.max(0, highlights[0][0] - radius);
+  const end = Math.min(text.length, highlights[0][1] + radius);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const snippetText = `${prefix}${text.slice(start, end).replace(/\s+/g, " ")}${suffix}`;
+  return { text: snippetText, highlights: findHighlights(snippetText, terms) };
+}
+
+function scoreTask(task, terms) {
+  const title = task.title.toLowerCase();
+  const body = [task.description, ...task.checklist.map((item) => item.text)].join("\n").toLowerCase();
+  const tags = task.tags.map((tag) => tag.toLowerCase());
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    if (title.includes(term)) {
+      termScore += title === term ? 20 : title.startsWith(term) || title.includes(` ${term}`) ? 12 : 8;
+    }
+    if (tags.some((tag) => tag === term)) termScore += 8;
+    else if (tags.some((tag) => tag.includes(term))) termScore += 4;
+    const bodyMatches = body.split(term).length - 1;
+    termScore += Math.min(bodyMatches, 5) * 2;
+
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  return score;
+}
+
+function searchTasks(tasks, projects, query) {
+  const parsed = parseSearchQuery(query);
+  const projectIds = parsed.project
+    ? new Set(
+        projects
+          .filter((project) => project.title.toLowerCase().includes(parsed.project))
+          .map((project) => project.id)
+      )
+    : null;
+
+  const results = [];
+  for (const task of tasks) {
+    if (parsed.done !== null && task.done !== parsed.done) continue;
+    if (parsed.when && task.when !== parsed.when) continue;
+    if (projectIds && !projectIds.has(task.projectId)) continue;
+    if (!parsed.tags.every((parent) => task.tags.some((tag) => tagMatchesPath(tag, parent)))) continue;
+
+    const score = parsed.terms.length > 0 ? scoreTask(task, parsed.terms) : 1;
+    if (score === 0) continue;
+
+    const checklistText = task.checklist.map((item) => item.text).join(" · ");
+    results.push({
+      task,
+      score: task.done ? score / 2 : score,
+      titleHighlights: findHighlights(task.title, parsed.terms),
+      snippet: buildSnippet(task.description, parsed.terms) ?? buildSnippet(checklistText, parsed.terms),
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score || a.task.order - b.task.order);
+  return { query: parsed, results };
+}
+
+function broadcastEvent(type, payload) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of eventClients) {
+    client.write(message);
+  }
+}
+
+function requestOrigin(req) {
+  return String(req.headers["x-client-id"] ?? "") || null;
+}
+
+function broadcastApiEvent(req, type, payload) {
+  broadcastEvent(type, { source: "api", origin: requestOrigin(req), ...payload });
+}
+
+function broadcastTaskList(req, records) {
+  broadcastApiEvent(req, "tasks.synced", { tasks: records.map((record) => record.task) });
+}
+
+async function readTaskFileContents() {
+  await ensureTasksDir();
+  const entries = await readdir(TASKS_DIR);
+  const files = new Map();
+  for (const fileName of entries.filter((name) => name.endsWith(".md"))) {
+    try {
+      files.set(fileName, await readFile(path.join(TASKS_DIR, fileName), "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  return files;
+}
+
+async function primeKnownTaskFiles() {
+  knownTaskFiles.clear();
+  for (const [fileName, content] of await readTaskFileContents()) {
+    try {
+      knownTaskFiles.set(fileName, { content, taskId: parseMarkdownTask(content).id });
+    } catch {
+      knownTaskFiles.set(fileName, { content, taskId: null });
+    }
+  }
+}
+
+async function syncExternalTaskChanges() {
+  const files = await readTaskFileContents();
+  const previousIds = new Set(Array.from(knownTaskFiles.values(), (value) => value.taskId));
+  const currentIds = new Set();
+  const changedTasks = [];
+
+  for (const [fileName, content] of files) {
+    const known = knownTaskFiles.get(fileName);
+    if (known?.content === content) {
+      currentIds.add(known.taskId);
+      continue;
+    }
+
+    try {
+      const task = parseMarkdownTask(content);
+      knownTaskFiles.set(fileName, { content, taskId: task.id });
+      currentIds.add(task.id);
+      changedTasks.push({ ...task, etag: contentEtag(content) });
+    } catch (error) {
+      console.error(`Failed to parse externally edited ${fileName}:`, error);
+    }
+  }
+
+  for (const fileName of Array.from(knownTaskFiles.keys())) {
+    if (!files.has(fileName)) knownTaskFiles.delete(fileName);
+  }
+
+  for (const task of changedTasks) {
+    broadcastEvent(previousIds.has(task.id) ? "task.updated" : "task.created", {
+      source: "external",
+      task,
+    });
+  }
+
+  for (const taskId of previousIds) {
+    if (taskId && !currentIds.has(taskId)) {
+      broadcastEvent("task.deleted", { source: "external", taskId });
+    }
+  }
+}
+
+function watchTasksDir() {
+  const watcher = watch(TASKS_DIR, (_eventType, fileName) => {
+    if (fileName && !String(fileName).endsWith(".md")) return;
+    clearTimeout(taskWatchTimer);
+    taskWatchTimer = setTimeout(() => {
+      withStoreLock("tasks", syncExternalTaskChanges).catch((error) => {
+        console.error("Failed to sync external task changes:", error);
+      });
+    }, WATCH_DEBOUNCE_MS);
+  });
+  watcher.on("error", (error) => {
+    console.error("Task directory watcher failed:", error);
+  });
+}
+
+function handleEvents(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 2000\n\n");
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), EVENTS_HEARTBEAT_MS);
+  eventClients.add(res);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
+}
+
+function sendJson(res, statusCode, payload, headers = {}) {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+    ...headers,
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function readRequestBody(req) {
+  if (!requestBodies.has(req)) requestBodies.set(req, readJsonBody(req));
+  return requestBodies.get(req);
+}
+
+function readUploadBody(req) {
+  if (!requestBodies.has(req)) requestBodies.set(req, readRawBody(req, ATTACHMENT_MAX_BYTES));
+  return requestBodies.get(req);
+}
+
+async function readRawBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= limit) chunks.push(chunk);
+  }
+  return { buffer: size <= limit ? Buffer.concat(chunks) : null, size };
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
   for await (const chunk of req) chunks.push(chunk);
   const raw = Buffer.concat(chunks).toString("utf8").trim();
   if (!raw) return {};
@@ -315,40 +1461,225 @@ async function handleListTasks(_req, res) {
   sendJson(res, 200, { tasks: records.map((record) => record.task) });
 }
 
-async function handleListLogbook(_req, res) {
+async function handleSearch(_req, res, url) {
+  const query = url.searchParams.get("q") ?? "";
+  const limit = Math.min(normalizePositiveInteger(url.searchParams.get("limit"), 20), 100);
+  if (!query.trim()) {
+    sendJson(res, 200, { results: [] });
+    return;
+  }
+
+  const records = await getTaskRecords();
+  const projects = (await readAllProjectRecords()).map((record) => record.project);
+  const { results } = searchTasks(
+    records.map((record) => record.task),
+    projects,
+    query
+  );
+  sendJson(res, 200, { total: results.length, results: results.slice(0, limit) });
+}
+
+function paginateLogEntries(entries, query) {
+  const matching = entries.filter((entry) => matchesLogbookQuery(entry, query));
+  const start = query.cursor ? matching.findIndex((entry) => logEntryCursor(entry) < query.cursor) : 0;
+  const page = start === -1 ? [] : matching.slice(start, start + query.limit);
+  const hasMore = start !== -1 && start + query.limit < matching.length;
+  return {
+    page,
+    total: matching.length,
+    nextCursor: hasMore ? logEntryCursor(page[page.length - 1]) : null,
+  };
+}
+
+async function handleListLogbook(_req, res, url) {
+  const query = parseLogbookQuery(url.searchParams);
+  if (!query) {
+    sendJson(res, 400, { error: "from and to must be valid dates." });
+    return;
+  }
+
   const entries = await readLogbookEntries();
-  sendJson(res, 200, { entries });
+  const restoredEntryIds = new Set(
+    entries.filter((entry) => entry.type === "task_restored").map((entry) => entry.data?.sourceEntryId)
+  );
+  const { page, total, nextCursor } = paginateLogEntries(entries, query);
+
+  sendJson(res, 200, {
+    entries: page.map((entry) =>
+      RESTORABLE_LOG_TYPES.includes(entry.type) ? { ...entry, restored: restoredEntryIds.has(entry.id) } : entry
+    ),
+    total,
+    nextCursor,
+  });
 }
 
-async function handleClearLogbook(_req, res) {
+async function handleTaskHistory(_req, res, taskId) {
+  const record = await findTaskRecordById(taskId);
+  const mentionsTask = (entry) => logEntryTaskIds(entry.data ?? {}).includes(taskId);
+  const entries = (await readLogbookEntries()).filter(mentionsTask);
+  for (const archive of await listLogbookArchives()) {
+    entries.push(...((await readArchiveEntries(archive.month)) ?? []).filter(mentionsTask));
+  }
+
+  if (!record && entries.length === 0) {
+    sendJson(res, 404, { error: "Task not found." });
+    return;
+  }
+
+  sendJson(res, 200, { task: record?.task ?? null, entries: entries.sort(compareLogEntries) });
+}
+
+async function handleListLogbookArchives(_req, res) {
+  sendJson(res, 200, { archives: await listLogbookArchives() });
+}
+
+async function handleReadLogbookArchive(_req, res, url, month) {
+  const query = parseLogbookQuery(url.searchParams);
+  if (!query) {
+    sendJson(res, 400, { error: "from and to must be valid dates." });
+    return;
+  }
+
+  const entries = LOGBOOK_MONTH.test(month) ? await readArchiveEntries(month) : null;
+  if (!entries) {
+    sendJson(res, 404, { error: "Archive not found." });
+    return;
+  }
+
+  const { page, total, nextCursor } = paginateLogEntries(entries, query);
+  sendJson(res, 200, { month, entries: page, total, nextCursor });
+}
+
+async function handleArchiveLogbook(_req, res) {
   await ensureLogbookStorage();
-  await writeFile(LOGBOOK_FILE, "", "utf8");
-  sendJson(res, 200, { ok: true, entries: [] });
+  const archivedCount = await rotateLogbook({ archiveAll: true });
+  broadcastEvent("logbook.cleared", {});
+  sendJson(res, 200, { ok: true, archivedCount, archives: await listLogbookArchives(), entries: [] });
+}
+
+async function isArchivedLogEntry(entryId) {
+  for (const archive of await listLogbookArchives()) {
+    const entries = (await readArchiveEntries(archive.month)) ?? [];
+    if (entries.some((entry) => entry.id === entryId)) return true;
+  }
+  return false;
+}
+
+async function handleRestoreLogEntry(req, res, entryId) {
+  const entries = await readLogbookEntries();
+  const entry = entries.find((value) => value.id === entryId);
+  if (!entry && (await isArchivedLogEntry(entryId))) {
+    sendJson(res, 410, { error: "This log entry has been archived and can no longer be restored." });
+    return;
+  }
+
+  if (!entry) {
+    sendJson(res, 404, { error: "Log entry not found." });
+    return;
+  }
+
+  if (!RESTORABLE_LOG_TYPES.includes(entry.type)) {
+    sendJson(res, 400, { error: "This log entry cannot be restored." });
+    return;
+  }
+
+  const alreadyRestored = entries.some(
+    (value) => value.type === "task_restored" && value.data?.sourceEntryId === entryId
+  );
+  if (alreadyRestored) {
+    sendJson(res, 409, { error: "This log entry has already been restored." });
+    return;
+  }
+
+  const snapshots = entry.type === "task_deleted" ? [entry.data?.task] : entry.data?.tasks ?? [];
+  const records = await getTaskRecords();
+  const projectIds = new Set((await readAllProjectRecords()).map((record) => record.project.id));
+  const takenIds = new Set(records.map((record) => record.task.id));
+  const takenFileNames = new Set(await readdir(TASKS_DIR));
+  const restored = [];
+
+  for (const snapshot of snapshots.filter(Boolean)) {
+    let task = normalizeTask({
+      ...snapshot,
+      projectId: projectIds.has(snapshot.projectId) ? snapshot.projectId : null,
+      order: records.length + restored.length,
+      updatedAt: new Date().toISOString(),
+    });
+    if (takenIds.has(task.id) || takenFileNames.has(taskFilename(task))) {
+      task = { ...task, id: randomUUID() };
+    }
+    if (task.attachments.length > 0 && !(await restoreTaskAttachments(snapshot.id, task.id))) {
+      task = { ...task, attachments: [] };
+    }
+
+    const record = await writeTask(task);
+    takenIds.add(record.task.id);
+    takenFileNames.add(record.fileName);
+    restored.push(record.task);
+
+    await appendLogEntry("task_restored", {
+      sourceEntryId: entryId,
+      taskId: record.task.id,
+      originalTaskId: snapshot.id,
+      title: record.task.title,
+      task: record.task,
+    });
+  }
+
+  const nextRecords = await getTaskRecords();
+  broadcastTaskList(req, nextRecords);
+  sendJson(res, 200, {
+    restored,
+    tasks: nextRecords.map((record) => record.task),
+  });
 }
 
 async function handleCreateTask(req, res) {
   const body = await readRequestBody(req);
-  const title = String(body.title ?? "").trim();
+  const parsed = body.quickEntry ? parseQuickEntry(body.quickEntry) : null;
+  const title = String(parsed?.title || body.title || "").trim();
   if (!title) {
     sendJson(res, 400, { error: "Title is required." });
     return;
   }
 
+  const projectId = body.projectId ? String(body.projectId) : null;
+  if (projectId && !(await findProjectRecordById(projectId))) {
+    sendJson(res, 400, { error: "Project not found." });
+    return;
+  }
+
   const records = await getTaskRecords();
   const order = records.length;
   const now = new Date().toISOString();
   const task = normalizeTask({
     id: randomUUID(),
     title,
-    description: String(body.description ?? ""),
-    tags: Array.isArray(body.tags) ? body.tags : ("tag" in body ? [body.tag] : ["General"]),
+    description: String(parsed?.description || body.description || ""),
+    checklist: body.checklist,
+    tags: parsed?.tags.length
+      ? [...(Array.isArray(body.tags) ? body.tags : []), ...parsed.tags]
+      : Array.isArray(body.tags) ? body.tags : ("tag" in body ? [body.tag] : ["General"]),
     done: Boolean(body.done),
+    when: body.when,
+    startDate: body.startDate,
+    dueDate: parsed?.dueDate ?? body.dueDate,
+    dueTime: parsed?.dueTime ?? body.dueTime,
+    priority: parsed?.priority || body.priority,
+    projectId,
+    recurrence: body.recurrence,
     order,
     createdAt: now,
     updatedAt: now,
   });
 
   const record = await writeTask(task);
+  await appendLogEntry("task_created", {
+    taskId: record.task.id,
+    title: record.task.title,
+    task: record.task,
+  });
+  broadcastApiEvent(req, "task.created", { task: record.task });
   sendJson(res, 201, { task: record.task });
 }
 
@@ -360,24 +1691,53 @@ async function handleUpdateTask(req, res, taskId) {
     return;
   }
 
+  if (!etagMatches(req, record.task.etag)) {
+    sendJson(res, 409, { error: "This task was changed since you loaded it.", task: record.task });
+    return;
+  }
+
   const nextTitle = body.title === undefined ? record.task.title : String(body.title).trim();
   if (!nextTitle) {
     sendJson(res, 400, { error: "Title is required." });
     return;
   }
 
+  if (body.projectId && !(await findProjectRecordById(String(body.projectId)))) {
+    sendJson(res, 400, { error: "Project not found." });
+    return;
+  }
+
   const updatedTask = normalizeTask({
     ...record.task,
     ...("done" in body ? { done: Boolean(body.done) } : null),
     ...("description" in body ? { description: String(body.description ?? "") } : null),
+    ...("checklist" in body ? { checklist: body.checklist } : null),
     ...("tags" in body ? { tags: body.tags } : null),
     ...(!("tags" in body) && "tag" in body ? { tags: [body.tag] } : null),
+    ...("when" in body ? { when: body.when } : null),
+    ...("startDate" in body ? { startDate: body.startDate } : null),
+    ...("dueDate" in body ? { dueDate: body.dueDate } : null),
+    ...("dueTime" in body ? { dueTime: body.dueTime } : null),
+    ...("priority" in body ? { priority: body.priority } : null),
+    ...("projectId" in body ? { projectId: body.projectId } : null),
+    ...("recurrence" in body ? { recurrence: body.recurrence } : null),
     ...("order" in body ? { order: Number(body.order) } : null),
     title: nextTitle,
     updatedAt: new Date().toISOString(),
   });
 
+  const nextTask = await planNextOccurrence(record.task, updatedTask, findTaskRecordById);
+
   const saved = await writeTask(updatedTask, record.fileName);
+  const changes = diffTaskFields(record.task, saved.task);
+  if (Object.keys(changes).length > 0) {
+    await appendLogEntry("task_updated", {
+      taskId: saved.task.id,
+      title: saved.task.title,
+      changes,
+      task: saved.task,
+    });
+  }
   if ("done" in body && saved.task.done !== record.task.done) {
     await appendLogEntry(saved.task.done ? "task_completed" : "task_reopened", {
       taskId: saved.task.id,
@@ -385,63 +1745,214 @@ async function handleUpdateTask(req, res, taskId) {
       task: saved.task,
     });
   }
-  sendJson(res, 200, { task: saved.task });
+
+  const nextRecord = nextTask ? await writeTask(nextTask) : null;
+  if (nextRecord) {
+    await logNextOccurrence(nextRecord, saved.task.id);
+  }
+  broadcastApiEvent(req, "task.updated", { task: saved.task });
+  if (nextRecord) {
+    broadcastApiEvent(req, "task.created", { task: nextRecord.task });
+  }
+  sendJson(
+    res,
+    200,
+    { task: saved.task, nextTask: nextRecord?.task ?? null },
+    { ETag: `"${saved.task.etag}"` }
+  );
 }
 
-async function handleDeleteTask(_req, res, taskId) {
+async function handleDeleteTask(req, res, taskId) {
   const record = await findTaskRecordById(taskId);
   if (!record) {
     sendJson(res, 404, { error: "Task not found." });
     return;
   }
 
+  if (!etagMatches(req, record.task.etag)) {
+    sendJson(res, 409, { error: "This task was changed since you loaded it.", task: record.task });
+    return;
+  }
+
   await appendLogEntry("task_deleted", {
     taskId: record.task.id,
     title: record.task.title,
     task: record.task,
   });
-  await rm(record.filePath);
-  sendJson(res, 200, { ok: true });
+  await removeTaskFile(record.fileName);
+  await trashTaskAttachments(record.task.id);
+  broadcastApiEvent(req, "task.deleted", { taskId: record.task.id });
+  sendJson(res, 200, { ok: true });
+}
+
+async function handleDeleteCompletedTasks(req, res) {
+  const records = await getTaskRecords();
+  const completed = records.filter((record) => record.task.done);
+
+  if (completed.length > 0) {
+    await appendLogEntry("completed_tasks_deleted", {
+      count: completed.length,
+      tasks: completed.map((record) => record.task),
+    });
+  }
+
+  for (const record of completed) {
+    await removeTaskFile(record.fileName);
+    await trashTaskAttachments(record.task.id);
+  }
+
+  const remaining = await getTaskRecords();
+  broadcastTaskList(req, remaining);
+  sendJson(res, 200, {
+    deletedCount: completed.length,
+    tasks: remaining.map((record) => record.task),
+  });
+}
+
+function attachmentMatchesType(buffer, type) {
+  if (type === "image/webp") {
+    return buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP";
+  }
+  const signature = ATTACHMENT_SIGNATURES[type];
+  if (signature) return signature.every((byte, index) => buffer[index] === byte);
+  return !buffer.includes(0);
+}
+
+function uploadFileName(req) {
+  try {
+    return path.basename(decodeURIComponent(String(req.headers["x-file-name"] ?? ""))).trim();
+  } catch {
+    return "";
+  }
+}
+
+async function handleUploadAttachment(req, res, taskId) {
+  const { buffer, size } = await readUploadBody(req);
+  if (!buffer) {
+    sendJson(res, 413, { error: `Attachments can be at most ${formatFileSize(ATTACHMENT_MAX_BYTES)}.` });
+    return;
+  }
+
+  if (size === 0) {
+    sendJson(res, 400, { error: "The file is empty." });
+    return;
+  }
+
+  const record = await findTaskRecordById(taskId);
+  if (!record) {
+    sendJson(res, 404, { error: "Task not found." });
+    return;
+  }
+
+  const directory = taskAttachmentsDir(record.task.id);
+  if (!directory) {
+    sendJson(res, 400, { error: "Attachments need a task ID made of letters, digits, dashes or underscores." });
+    return;
+  }
+
+  const type = String(req.headers["content-type"] ?? "").split(";")[0].trim().toLowerCase();
+  if (!ATTACHMENT_TYPES.includes(type)) {
+    sendJson(res, 415, { error: "This file type cannot be attached." });
+    return;
+  }
+
+  if (!attachmentMatchesType(buffer, type)) {
+    sendJson(res, 415, { error: "The file contents do not match its type." });
+    return;
+  }
+
+  const name = uploadFileName(req) || "attachment";
+  const extension = path.extname(name).toLowerCase();
+  const id = randomUUID();
+  const attachment = {
+    id,
+    name,
+    fileName: `${id}${ATTACHMENT_EXTENSION.test(extension) ? extension : ""}`,
+    type,
+    size,
+    addedAt: new Date().toISOString(),
+  };
+
+  await mkdir(directory, { recursive: true });
+  await writeFileAtomic(path.join(directory, attachment.fileName), buffer);
+  const saved = await writeTask(
+    { ...record.task, attachments: [...record.task.attachments, attachment], updatedAt: attachment.addedAt },
+    record.fileName
+  );
+
+  await appendLogEntry("attachment_added", { taskId: saved.task.id, title: saved.task.title, attachment });
+  broadcastApiEvent(req, "task.updated", { task: saved.task });
+  sendJson(res, 201, { attachment, task: saved.task }, { ETag: `"${saved.task.etag}"` });
+}
+
+async function handleDownloadAttachment(_req, res, url, taskId, attachmentId) {
+  const record = await findTaskRecordById(taskId);
+  const attachment = record?.task.attachments.find((item) => item.id === attachmentId);
+  const directory = record ? taskAttachmentsDir(record.task.id) : null;
+  if (!attachment || !directory) {
+    sendJson(res, 404, { error: "Attachment not found." });
+    return;
+  }
+
+  let content;
+  try {
+    content = await readFile(path.join(directory, attachment.fileName));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    sendJson(res, 404, { error: "The attachment file is missing." });
+    return;
+  }
+
+  const inline =
+    !url.searchParams.has("download") && (isImageAttachment(attachment.type) || attachment.type === "application/pdf");
+  res.writeHead(200, {
+    "Content-Type": attachment.type,
+    "Content-Length": content.length,
+    "Content-Disposition": `${inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "no-store",
+  });
+  res.end(content);
 }
 
-async function handleDeleteCompletedTasks(_req, res) {
-  const records = await getTaskRecords();
-  const completed = records.filter((record) => record.task.done);
-
-  if (completed.length > 0) {
-    await appendLogEntry("completed_tasks_deleted", {
-      count: completed.length,
-      tasks: completed.map((record) => record.task),
-    });
+async function handleDeleteAttachment(req, res, taskId, attachmentId) {
+  const record = await findTaskRecordById(taskId);
+  const attachment = record?.task.attachments.find((item) => item.id === attachmentId);
+  const directory = record ? taskAttachmentsDir(record.task.id) : null;
+  if (!attachment || !directory) {
+    sendJson(res, 404, { error: "Attachment not found." });
+    return;
   }
 
-  for (const record of completed) {
-    await rm(record.filePath);
-  }
+  await rm(path.join(directory, attachment.fileName), { force: true });
+  const remaining = record.task.attachments.filter((item) => item.id !== attachmentId);
+  if (remaining.length === 0) await rm(directory, { recursive: true, force: true });
 
-  const remaining = await getTaskRecords();
-  sendJson(res, 200, {
-    deletedCount: completed.length,
-    tasks: remaining.map((record) => record.task),
-  });
+  const saved = await writeTask(
+    { ...record.task, attachments: remaining, updatedAt: new Date().toISOString() },
+    record.fileName
+  );
+
+  await appendLogEntry("attachment_deleted", { taskId: saved.task.id, title: saved.task.title, attachment });
+  broadcastApiEvent(req, "task.updated", { task: saved.task });
+  sendJson(res, 200, { task: saved.task }, { ETag: `"${saved.task.etag}"` });
 }
 
 async function handleDeleteTagEverywhere(req, res) {
   const body = await readRequestBody(req);
-  const tagToDelete = String(body.tag ?? "").trim();
+  const tagToDelete = normalizeTagPath(body.tag);
   if (!tagToDelete) {
     sendJson(res, 400, { error: "Tag is required." });
     return;
   }
 
+  await updateTagRegistry(req, (registry) => moveTagMeta(registry, [tagToDelete], null));
   const records = await getTaskRecords();
   let changedCount = 0;
 
   for (const record of records) {
     const beforeTags = [...(record.task.tags ?? [])];
-    const nextTags = (record.task.tags ?? []).filter(
-      (tag) => String(tag).toLowerCase() !== tagToDelete.toLowerCase()
-    );
+    const nextTags = (record.task.tags ?? []).filter((tag) => !tagMatchesPath(tag, tagToDelete));
     const changed = nextTags.length !== (record.task.tags ?? []).length;
     if (!changed) continue;
 
@@ -469,6 +1980,7 @@ async function handleDeleteTagEverywhere(req, res) {
   }
 
   const nextRecords = await getTaskRecords();
+  broadcastTaskList(req, nextRecords);
   sendJson(res, 200, {
     deletedTag: tagToDelete,
     changedCount,
@@ -476,6 +1988,127 @@ async function handleDeleteTagEverywhere(req, res) {
   });
 }
 
+async function replaceTagsEverywhere(sourceTags, targetTag) {
+  const sourceOf = (tag) => sourceTags.find((source) => tagMatchesPath(tag, source));
+  const records = await getTaskRecords();
+  const changed = [];
+
+  for (const record of records) {
+    const tags = record.task.tags ?? [];
+    if (!tags.some(sourceOf)) continue;
+    const nextTags = uniqueTags(
+      tags.map((tag) => (sourceOf(tag) ? `${targetTag}${tag.slice(sourceOf(tag).length)}` : tag))
+    );
+    if (JSON.stringify(nextTags) === JSON.stringify(tags)) continue;
+
+    const saved = await writeTask(
+      { ...record.task, tags: nextTags, updatedAt: new Date().toISOString() },
+      record.fileName
+    );
+    changed.push(saved.task);
+  }
+
+  return changed;
+}
+
+async function handleRenameTag(req, res) {
+  const body = await readRequestBody(req);
+  const from = normalizeTagPath(body.from);
+  const to = normalizeTagPath(body.to);
+  if (!from || !to) {
+    sendJson(res, 400, { error: "Both the current and the new tag name are required." });
+    return;
+  }
+
+  if (from === to) {
+    sendJson(res, 400, { error: "The new tag name must be different." });
+    return;
+  }
+
+  await updateTagRegistry(req, (registry) => moveTagMeta(registry, [from], to));
+  const changed = await replaceTagsEverywhere([from], to);
+  if (changed.length > 0) {
+    await appendLogEntry("tag_renamed", {
+      from,
+      to,
+      changedCount: changed.length,
+      taskIds: changed.map((task) => task.id),
+    });
+  }
+
+  const nextRecords = await getTaskRecords();
+  broadcastTaskList(req, nextRecords);
+  sendJson(res, 200, {
+    from,
+    to,
+    changedCount: changed.length,
+    tasks: nextRecords.map((record) => record.task),
+  });
+}
+
+async function handleMergeTags(req, res) {
+  const body = await readRequestBody(req);
+  const target = normalizeTagPath(body.target);
+  const sources = uniqueTags(Array.isArray(body.sources) ? body.sources : []).filter(
+    (tag) => tag.toLowerCase() !== target.toLowerCase()
+  );
+  if (!target || sources.length === 0) {
+    sendJson(res, 400, { error: "A target tag and at least one other tag to merge are required." });
+    return;
+  }
+
+  await updateTagRegistry(req, (registry) => moveTagMeta(registry, sources, target));
+  const changed = await replaceTagsEverywhere(sources, target);
+  if (changed.length > 0) {
+    await appendLogEntry("tags_merged", {
+      sources,
+      target,
+      changedCount: changed.length,
+      taskIds: changed.map((task) => task.id),
+    });
+  }
+
+  const nextRecords = await getTaskRecords();
+  broadcastTaskList(req, nextRecords);
+  sendJson(res, 200, {
+    sources,
+    target,
+    changedCount: changed.length,
+    tasks: nextRecords.map((record) => record.task),
+  });
+}
+
+async function handleListTagRegistry(_req, res) {
+  sendJson(res, 200, { tags: await readTagRegistry() });
+}
+
+async function handleUpdateTagMeta(req, res, tagName) {
+  const body = await readRequestBody(req);
+  const name = tagName.trim();
+  if (!name) {
+    sendJson(res, 400, { error: "Tag name is required." });
+    return;
+  }
+
+  if (body.color && !TAG_COLOR.test(String(body.color).trim())) {
+    sendJson(res, 400, { error: "Color must be a hex value like #3b82f6." });
+    return;
+  }
+
+  const key = name.toLowerCase();
+  const tags = await updateTagRegistry(req, (registry) => {
+    const current = registry.find((meta) => meta.name.toLowerCase() === key);
+    const meta = normalizeTagMeta({ ...current, ...body, name: current?.name ?? name });
+    return [...registry.filter((value) => value.name.toLowerCase() !== key), meta];
+  });
+  sendJson(res, 200, { tag: tags.find((meta) => meta.name.toLowerCase() === key), tags: await readTagRegistry() });
+}
+
+async function handleDeleteTagMeta(req, res, tagName) {
+  const tags = await updateTagRegistry(req, (registry) => moveTagMeta(registry, [tagName], null));
+  sendJson(res, 200, { ok: true, tags });
+}
+
 async function handleReorderTasks(req, res) {
   const body = await readRequestBody(req);
   if (!Array.isArray(body.taskIds)) {
@@ -502,34 +2135,437 @@ async function handleReorderTasks(req, res) {
     }
   }
 
+  const moves = [];
   for (let index = 0; index < orderedIds.length; index += 1) {
     const id = orderedIds[index];
     const record = byId.get(id);
-    if (!record) continue;
-    const updatedTask = {
-      ...record.task,
-      order: index,
-      updatedAt: new Date().toISOString(),
-    };
-    const saved = await writeTask(updatedTask, record.fileName);
+    if (!record || record.task.order === index) continue;
+    moves.push({ taskId: id, title: record.task.title, before: record.task.order, after: index });
+    const saved = await writeTask({ ...record.task, order: index }, record.fileName);
     byId.set(id, saved);
   }
 
+  if (moves.length > 0) {
+    await appendLogEntry("tasks_reordered", { count: moves.length, moves });
+  }
+
   const nextRecords = await getTaskRecords();
+  broadcastTaskList(req, nextRecords);
   sendJson(res, 200, { tasks: nextRecords.map((record) => record.task) });
 }
 
+function applyBatchAction(task, body) {
+  if (body.action === "complete") return { ...task, done: true };
+  if (body.action === "reopen") return { ...task, done: false };
+  if (body.action === "add-tag") return { ...task, tags: [...(task.tags ?? []), body.tag] };
+  if (body.action === "remove-tag") {
+    return { ...task, tags: (task.tags ?? []).filter((tag) => !tagMatchesPath(tag, body.tag)) };
+  }
+  return { ...task, when: body.when };
+}
+
+async function handleBatchTasks(req, res) {
+  const body = await readRequestBody(req);
+  const action = String(body.action ?? "");
+  if (!BATCH_ACTIONS.includes(action)) {
+    sendJson(res, 400, { error: `Action must be one of: ${BATCH_ACTIONS.join(", ")}.` });
+    return;
+  }
+
+  const taskIds = [...new Set((Array.isArray(body.taskIds) ? body.taskIds : []).map(String))];
+  if (taskIds.length === 0) {
+    sendJson(res, 400, { error: "Select at least one task." });
+    return;
+  }
+
+  const tag = normalizeTagPath(body.tag);
+  if ((action === "add-tag" || action === "remove-tag") && !tag) {
+    sendJson(res, 400, { error: "Tag is required." });
+    return;
+  }
+
+  const when = String(body.when ?? "").trim().toLowerCase();
+  if (action === "move" && !TASK_BUCKETS.includes(when)) {
+    sendJson(res, 400, { error: `Bucket must be one of: ${TASK_BUCKETS.join(", ")}.` });
+    return;
+  }
+
+  const byId = new Map((await getTaskRecords()).map((record) => [record.task.id, record]));
+  const missing = taskIds.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    sendJson(res, 404, { error: `${missing.length} of the selected tasks no longer exist.`, taskIds: missing });
+    return;
+  }
+
+  const records = taskIds.map((id) => byId.get(id));
+  const now = new Date().toISOString();
+  const applied = [];
+  const items = [];
+  const createdOccurrences = [];
+
+  try {
+    if (action === "delete") {
+      await appendLogEntry("tasks_batch_deleted", {
+        count: records.length,
+        tasks: records.map((record) => record.task),
+      });
+      for (const record of records) {
+        await removeTaskFile(record.fileName);
+        const trashed = await trashTaskAttachments(record.task.id);
+        applied.push({ before: record, trashed });
+      }
+    } else {
+      for (const record of records) {
+        const updatedTask = normalizeTask({ ...applyBatchAction(record.task, { action, tag, when }), updatedAt: now });
+        const changes = diffTaskFields(record.task, updatedTask);
+        if (Object.keys(changes).length === 0 && updatedTask.done === record.task.done) continue;
+
+        const nextTask = await planNextOccurrence(record.task, updatedTask, (id) => byId.has(id));
+
+        const saved = await writeTask(updatedTask, record.fileName);
+        applied.push({ before: record, after: saved });
+        const nextRecord = nextTask ? await writeTask(nextTask) : null;
+        if (nextRecord) {
+          applied.push({ after: nextRecord });
+          createdOccurrences.push({ nextRecord, previousTaskId: saved.task.id });
+        }
+
+        items.push({
+          taskId: saved.task.id,
+          title: saved.task.title,
+          changes: diffTaskFields(record.task, saved.task),
+          ...(saved.task.done !== record.task.done ? { done: saved.task.done } : null),
+          ...(nextRecord ? { nextTaskId: nextRecord.task.id } : null),
+        });
+      }
+    }
+  } catch (error) {
+    for (const step of applied.reverse()) {
+      if (step.after && !step.before) await removeTaskFile(step.after.fileName);
+      if (step.before) await writeTask(step.before.task, step.after?.fileName ?? null);
+      if (step.trashed) await restoreTaskAttachments(step.before.task.id, step.before.task.id);
+    }
+    throw error;
+  }
+
+  if (action !== "delete" && items.length > 0) {
+    await appendLogEntry("tasks_batch_updated", {
+      action,
+      ...(tag && action !== "move" ? { tag } : null),
+      ...(action === "move" ? { when } : null),
+      count: items.length,
+      items,
+    });
+  }
+  for (const { nextRecord, previousTaskId } of createdOccurrences) {
+    await logNextOccurrence(nextRecord, previousTaskId);
+  }
+
+  const nextRecords = await getTaskRecords();
+  broadcastTaskList(req, nextRecords);
+  sendJson(res, 200, {
+    action,
+    changedCount: action === "delete" ? records.length : items.length,
+    tasks: nextRecords.map((record) => record.task),
+  });
+}
+
+async function broadcastProjects(req) {
+  const records = await readAllProjectRecords();
+  broadcastApiEvent(req, "projects.synced", { projects: records.map((record) => record.project) });
+}
+
+async function handleListProjects(_req, res) {
+  const records = await readAllProjectRecords();
+  sendJson(res, 200, { projects: records.map((record) => record.project) });
+}
+
+async function handleCreateProject(req, res) {
+  const body = await readRequestBody(req);
+  const title = String(body.title ?? "").trim();
+  if (!title) {
+    sendJson(res, 400, { error: "Title is required." });
+    return;
+  }
+
+  const records = await readAllProjectRecords();
+  const now = new Date().toISOString();
+  const record = await writeProject({
+    id: randomUUID(),
+    title,
+    notes: String(body.notes ?? ""),
+    order: records.length,
+    createdAt: now,
+    updatedAt: now,
+  });
+  await broadcastProjects(req);
+  sendJson(res, 201, { project: record.project });
+}
+
+async function handleUpdateProject(req, res, projectId) {
+  const body = await readRequestBody(req);
+  const record = await findProjectRecordById(projectId);
+  if (!record) {
+    sendJson(res, 404, { error: "Project not found." });
+    return;
+  }
+
+  const nextTitle = body.title === undefined ? record.project.title : String(body.title).trim();
+  if (!nextTitle) {
+    sendJson(res, 400, { error: "Title is required." });
+    return;
+  }
+
+  const saved = await writeProject(
+    {
+      ...record.project,
+      ...("notes" in body ? { notes: String(body.notes ?? "") } : null),
+      ...("order" in body ? { order: Number(body.order) } : null),
+      title: nextTitle,
+      updatedAt: new Date().toISOString(),
+    },
+    record.fileName
+  );
+  await broadcastProjects(req);
+  sendJson(res, 200, { project: saved.project });
+}
+
+async function handleDeleteProject(req, res, projectId) {
+  const record = await findProjectRecordById(projectId);
+  if (!record) {
+    sendJson(res, 404, { error: "Project not found." });
+    return;
+  }
+
+  const projectTasks = await withStoreLock("tasks", async () => {
+    const records = await getTaskRecords();
+    const released = records.filter((taskRecord) => taskRecord.task.projectId === projectId);
+    for (const taskRecord of released) {
+      await writeTask(
+        { ...taskRecord.task, projectId: null, updatedAt: new Date().toISOString() },
+        taskRecord.fileName
+      );
+    }
+    return released;
+  });
+
+  await appendLogEntry("project_deleted", {
+    projectId: record.project.id,
+    title: record.project.title,
+    project: record.project,
+    taskIds: projectTasks.map((taskRecord) => taskRecord.task.id),
+    taskCount: projectTasks.length,
+  });
+  await rm(record.filePath);
+
+  const nextRecords = await getTaskRecords();
+  await broadcastProjects(req);
+  broadcastTaskList(req, nextRecords);
+  sendJson(res, 200, {
+    ok: true,
+    releasedCount: projectTasks.length,
+    tasks: nextRecords.map((taskRecord) => taskRecord.task),
+  });
+}
+
+async function handleListFilters(_req, res) {
+  sendJson(res, 200, { filters: await readSmartFilters() });
+}
+
+async function handleCreateFilter(req, res) {
+  const body = await readRequestBody(req);
+  if (!String(body.name ?? "").trim()) {
+    sendJson(res, 400, { error: "Name is required." });
+    return;
+  }
+
+  const filters = await readSmartFilters();
+  const now = new Date().toISOString();
+  const filter = normalizeSmartFilter({
+    ...body,
+    id: randomUUID(),
+    order: filters.length,
+    createdAt: now,
+    updatedAt: now,
+  });
+  await writeSmartFilters([...filters, filter], req);
+  sendJson(res, 201, { filter });
+}
+
+async function handleUpdateFilter(req, res, filterId) {
+  const body = await readRequestBody(req);
+  const filters = await readSmartFilters();
+  const current = filters.find((filter) => filter.id === filterId);
+  if (!current) {
+    sendJson(res, 404, { error: "Filter not found." });
+    return;
+  }
+
+  if ("name" in body && !String(body.name ?? "").trim()) {
+    sendJson(res, 400, { error: "Name is required." });
+    return;
+  }
+
+  const filter = normalizeSmartFilter({
+    ...current,
+    ...body,
+    id: current.id,
+    createdAt: current.createdAt,
+    updatedAt: new Date().toISOString(),
+  });
+  await writeSmartFilters(filters.map((value) => (value.id === filterId ? filter : value)), req);
+  sendJson(res, 200, { filter });
+}
+
+async function handleDeleteFilter(req, res, filterId) {
+  const filters = await readSmartFilters();
+  if (!filters.some((filter) => filter.id === filterId)) {
+    sendJson(res, 404, { error: "Filter not found." });
+    return;
+  }
+
+  await writeSmartFilters(filters.filter((filter) => filter.id !== filterId), req);
+  sendJson(res, 200, { ok: true });
+}
+
 function matchTaskRoute(urlPathname) {
   if (urlPathname === "/api/tasks") return { type: "collection" };
   if (urlPathname === "/api/logbook") return { type: "logbook" };
+  if (urlPathname === "/api/logbook/archives") return { type: "logbook-archives" };
+  const archiveMatch = urlPathname.match(/^\/api\/logbook\/archives\/([^/]+)$/);
+  if (archiveMatch) return { type: "logbook-archive", month: decodeURIComponent(archiveMatch[1]) };
   if (urlPathname === "/api/tasks/completed") return { type: "completed" };
   if (urlPathname === "/api/tasks/reorder") return { type: "reorder" };
+  if (urlPathname === "/api/tasks/batch") return { type: "batch" };
   if (urlPathname === "/api/tags/delete") return { type: "delete-tag" };
+  if (urlPathname === "/api/tags/rename") return { type: "rename-tag" };
+  if (urlPathname === "/api/tags/merge") return { type: "merge-tags" };
+  if (urlPathname === "/api/tags") return { type: "tag-registry" };
+  const tagMetaMatch = urlPathname.match(/^\/api\/tags\/meta\/([^/]+)$/);
+  if (tagMetaMatch) return { type: "tag-meta", tagName: decodeURIComponent(tagMetaMatch[1]) };
+  if (urlPathname === "/api/projects") return { type: "projects" };
+  if (urlPathname === "/api/search") return { type: "search" };
+  if (urlPathname === "/api/filters") return { type: "filters" };
+  const filterMatch = urlPathname.match(/^\/api\/filters\/([^/]+)$/);
+  if (filterMatch) return { type: "filter", filterId: decodeURIComponent(filterMatch[1]) };
+  const restoreMatch = urlPathname.match(/^\/api\/logbook\/([^/]+)\/restore$/);
+  if (restoreMatch) return { type: "restore", entryId: decodeURIComponent(restoreMatch[1]) };
+  const projectMatch = urlPathname.match(/^\/api\/projects\/([^/]+)$/);
+  if (projectMatch) return { type: "project", projectId: decodeURIComponent(projectMatch[1]) };
+  const attachmentMatch = urlPathname.match(/^\/api\/tasks\/([^/]+)\/attachments(?:\/([^/]+))?$/);
+  if (attachmentMatch) {
+    const taskId = decodeURIComponent(attachmentMatch[1]);
+    if (!attachmentMatch[2]) return { type: "attachments", taskId };
+    return { type: "attachment", taskId, attachmentId: decodeURIComponent(attachmentMatch[2]) };
+  }
+  const historyMatch = urlPathname.match(/^\/api\/tasks\/([^/]+)\/history$/);
+  if (historyMatch) return { type: "history", taskId: decodeURIComponent(historyMatch[1]) };
   const match = urlPathname.match(/^\/api\/tasks\/([^/]+)$/);
   if (!match) return null;
   return { type: "item", taskId: decodeURIComponent(match[1]) };
 }
 
+function routeHandler(req, res, route, url) {
+  if (route.type === "collection") {
+    if (req.method === "GET") return () => handleListTasks(req, res);
+    if (req.method === "POST") return () => handleCreateTask(req, res);
+  }
+
+  if (route.type === "logbook") {
+    if (req.method === "GET") return () => handleListLogbook(req, res, url);
+    if (req.method === "DELETE") return () => handleArchiveLogbook(req, res);
+  }
+
+  if (route.type === "logbook-archives") {
+    if (req.method === "GET") return () => handleListLogbookArchives(req, res);
+  }
+
+  if (route.type === "logbook-archive") {
+    if (req.method === "GET") return () => handleReadLogbookArchive(req, res, url, route.month);
+  }
+
+  if (route.type === "search") {
+    if (req.method === "GET") return () => handleSearch(req, res, url);
+  }
+
+  if (route.type === "restore") {
+    if (req.method === "POST") return () => handleRestoreLogEntry(req, res, route.entryId);
+  }
+
+  if (route.type === "completed") {
+    if (req.method === "DELETE") return () => handleDeleteCompletedTasks(req, res);
+  }
+
+  if (route.type === "reorder") {
+    if (req.method === "POST") return () => handleReorderTasks(req, res);
+  }
+
+  if (route.type === "batch") {
+    if (req.method === "POST") return () => handleBatchTasks(req, res);
+  }
+
+  if (route.type === "delete-tag") {
+    if (req.method === "POST") return () => handleDeleteTagEverywhere(req, res);
+  }
+
+  if (route.type === "rename-tag") {
+    if (req.method === "POST") return () => handleRenameTag(req, res);
+  }
+
+  if (route.type === "merge-tags") {
+    if (req.method === "POST") return () => handleMergeTags(req, res);
+  }
+
+  if (route.type === "tag-registry") {
+    if (req.method === "GET") return () => handleListTagRegistry(req, res);
+  }
+
+  if (route.type === "tag-meta") {
+    if (req.method === "PUT") return () => handleUpdateTagMeta(req, res, route.tagName);
+    if (req.method === "DELETE") return () => handleDeleteTagMeta(req, res, route.tagName);
+  }
+
+  if (route.type === "projects") {
+    if (req.method === "GET") return () => handleListProjects(req, res);
+    if (req.method === "POST") return () => handleCreateProject(req, res);
+  }
+
+  if (route.type === "project") {
+    if (req.method === "PUT") return () => handleUpdateProject(req, res, route.projectId);
+    if (req.method === "DELETE") return () => handleDeleteProject(req, res, route.projectId);
+  }
+
+  if (route.type === "filters") {
+    if (req.method === "GET") return () => handleListFilters(req, res);
+    if (req.method === "POST") return () => handleCreateFilter(req, res);
+  }
+
+  if (route.type === "filter") {
+    if (req.method === "PUT") return () => handleUpdateFilter(req, res, route.filterId);
+    if (req.method === "DELETE") return () => handleDeleteFilter(req, res, route.filterId);
+  }
+
+  if (route.type === "attachments") {
+    if (req.method === "POST") return () => handleUploadAttachment(req, res, route.taskId);
+  }
+
+  if (route.type === "attachment") {
+    if (req.method === "GET") return () => handleDownloadAttachment(req, res, url, route.taskId, route.attachmentId);
+    if (req.method === "DELETE") return () => handleDeleteAttachment(req, res, route.taskId, route.attachmentId);
+  }
+
+  if (route.type === "history") {
+    if (req.method === "GET") return () => handleTaskHistory(req, res, route.taskId);
+  }
+
+  if (route.type === "item") {
+    if (req.method === "PUT") return () => handleUpdateTask(req, res, route.taskId);
+    if (req.method === "DELETE") return () => handleDeleteTask(req, res, route.taskId);
+  }
+
+  return null;
+}
+
 const server = createServer(async (req, res) => {
   try {
     const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
@@ -539,40 +2575,31 @@ const server = createServer(async (req, res) => {
       return;
     }
 
+    if (req.method === "GET" && url.pathname === "/api/events") {
+      handleEvents(req, res);
+      return;
+    }
+
     const route = matchTaskRoute(url.pathname);
     if (!route) {
       sendJson(res, 404, { error: "Not found." });
       return;
     }
 
-    if (route.type === "collection") {
-      if (req.method === "GET") return void (await handleListTasks(req, res));
-      if (req.method === "POST") return void (await handleCreateTask(req, res));
-    }
-
-    if (route.type === "logbook") {
-      if (req.method === "GET") return void (await handleListLogbook(req, res));
-      if (req.method === "DELETE") return void (await handleClearLogbook(req, res));
-    }
-
-    if (route.type === "completed") {
-      if (req.method === "DELETE") return void (await handleDeleteCompletedTasks(req, res));
-    }
-
-    if (route.type === "reorder") {
-      if (req.method === "POST") return void (await handleReorderTasks(req, res));
-    }
-
-    if (route.type === "delete-tag") {
-      if (req.method === "POST") return void (await handleDeleteTagEverywhere(req, res));
+    const handler = routeHandler(req, res, route, url);
+    if (!handler) {
+      sendJson(res, 405, { error: "Method not allowed." });
+      return;
     }
 
-    if (route.type === "item") {
-      if (req.method === "PUT") return void (await handleUpdateTask(req, res, route.taskId));
-      if (req.method === "DELETE") return void (await handleDeleteTask(req, res, route.taskId));
+    const store = req.method === "GET" ? null : MUTATION_STORES[route.type];
+    if (store) {
+      await (route.type === "attachments" ? readUploadBody(req) : readRequestBody(req));
+      await withStoreLock(store, handler);
+      return;
     }
 
-    sendJson(res, 405, { error: "Method not allowed." });
+    await handler();
   } catch (error) {
     console.error(error);
     sendJson(res, 500, { error: error?.message || "Internal server error." });
@@ -581,6 +2608,7 @@ const server = createServer(async (req, res) => {
 
 async function start() {
   await ensureTasksDir();
+  await ensureProjectsDir();
   await ensureLogbookStorage();
   try {
     await stat(TASKS_DIR);
@@ -588,6 +2616,12 @@ async function start() {
     await mkdir(TASKS_DIR, { recursive: true });
   }
 
+  await recoverStorage();
+  await scheduleLogbookRotation();
+  await ensureSeedTasks();
+  await primeKnownTaskFiles();
+  watchTasksDir();
+
   server.listen(PORT, () => {
     console.log(`Markdown task API listening on http://localhost:${PORT}`);
     console.log(`Tasks directory: ${TASKS_DIR}`);
@@ -0,0 +1,202 @@
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const WEEKDAY_ABBREVIATIONS = { sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6 };
+const MONTH_ABBREVIATIONS = { jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11 };
+const RELATIVE_DAYS = { today: 0, tod: 0, tonight: 0, tomorrow: 1, tmr: 1, tmrw: 1 };
+const RELATIVE_UNITS = { day: 1, days: 1, week: 7, weeks: 7 };
+const DESCRIPTION_MARKER = /(?:^|\s)\/\/(?:\s|$)/;
+const TIME_12H = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/;
+const TIME_24H = /^(\d{1,2}):(\d{2})$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_OF_MONTH = /^(\d{1,2})(?:st|nd|rd|th)?,?$/;
+
+export const PRIORITY_LEVELS = [
+  { value: 0, label: "None" },
+  { value: 1, label: "Low" },
+  { value: 2, label: "Medium" },
+  { value: 3, label: "High" },
+];
+
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function addDays(date, days) {
+  const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function matchName(word, names, abbreviations) {
+  const index = names.indexOf(word);
+  if (index !== -1) return index;
+  return Object.hasOwn(abbreviations, word) ? abbreviations[word] : -1;
+}
+
+function isModifier(word) {
+  return word === "at" || word.startsWith("#") || /^!{1,3}$/.test(word) || parseTime(word) !== null;
+}
+
+function parseTime(word) {
+  if (word === "noon") return "12:00";
+  if (word === "midnight") return "00:00";
+
+  const twelveHour = word.match(TIME_12H);
+  if (twelveHour) {
+    const hours = Number(twelveHour[1]);
+    const minutes = Number(twelveHour[2] ?? 0);
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+    const value = (hours % 12) + (twelveHour[3] === "pm" ? 12 : 0);
+    return `${String(value).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+  }
+
+  const twentyFourHour = word.match(TIME_24H);
+  if (twentyFourHour) {
+    const hours = Number(twentyFourHour[1]);
+    const minutes = Number(twentyFourHour[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, "0")}:${twentyFourHour[2]}`;
+  }
+
+  return null;
+}
+
+function monthDay(today, month, day) {
+  if (month < 0 || day < 1 || day > 31) return null;
+  let date = new Date(today.getFullYear(), month, day);
+  if (date.getMonth() !== month) return null;
+  if (date < addDays(today, 0)) date = new Date(today.getFullYear() + 1, month, day);
+  return date;
+}
+
+function parseDate(words, index, today) {
+  const word = words[index];
+  const next = words[index + 1] ?? "";
+
+  if (Object.hasOwn(RELATIVE_DAYS, word)) {
+    return { date: addDays(today, RELATIVE_DAYS[word]), length: 1, time: word === "tonight" ? "20:00" : null };
+  }
+
+  if (word === "next" && next === "week") {
+    return { date: addDays(today, ((8 - today.getDay()) % 7) || 7), length: 2 };
+  }
+
+  if (word === "next" && next === "month") {
+    return { date: new Date(today.getFullYear(), today.getMonth() + 1, 1), length: 2 };
+  }
+
+  if (word === "in" && /^\d+$/.test(next) && Object.hasOwn(RELATIVE_UNITS, words[index + 2] ?? "")) {
+    return { date: addDays(today, Number(next) * RELATIVE_UNITS[words[index + 2]]), length: 3 };
+  }
+
+  const weekday = matchName(word, WEEKDAYS, WEEKDAY_ABBREVIATIONS);
+  const standalone = index > 0 && (!next || isModifier(next));
+  if (weekday !== -1 && (WEEKDAYS.includes(word) || standalone)) {
+    return { date: addDays(today, ((weekday - today.getDay() + 6) % 7) + 1), length: 1 };
+  }
+
+  const iso = word.match(ISO_DATE);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return toDateKey(date) === word ? { date, length: 1 } : null;
+  }
+
+  const month = matchName(word, MONTHS, MONTH_ABBREVIATIONS);
+  const dayAfter = next.match(DAY_OF_MONTH);
+  if (month !== -1 && dayAfter) {
+    const date = monthDay(today, month, Number(dayAfter[1]));
+    return date ? { date, length: 2 } : null;
+  }
+
+  const dayBefore = word.match(DAY_OF_MONTH);
+  const monthAfter = matchName(next, MONTHS, MONTH_ABBREVIATIONS);
+  if (dayBefore && monthAfter !== -1) {
+    const date = monthDay(today, monthAfter, Number(dayBefore[1]));
+    return date ? { date, length: 2 } : null;
+  }
+
+  return null;
+}
+
+export function parseQuickEntry(input, { today = new Date() } = {}) {
+  const text = String(input ?? "");
+  const marker = text.match(DESCRIPTION_MARKER);
+  const head = marker ? text.slice(0, marker.index) : text;
+  const description = marker ? text.slice(marker.index + marker[0].length).trim() : "";
+
+  const tokens = head.split(/\s+/).filter(Boolean);
+  const words = tokens.map((token) => token.toLowerCase());
+  const titleWords = [];
+  const tags = [];
+  let dueDate = null;
+  let dueTime = null;
+  let priority = 0;
+
+  for (let index = 0; index < tokens.length; ) {
+    const token = tokens[index];
+    const word = words[index];
+
+    if (/^#[^#\s]+$/.test(token)) {
+      const tag = token
+        .slice(1)
+        .split("/")
+        .map((segment) => segment.trim())
+        .filter(Boolean)
+        .join("/");
+      if (tag && !tags.some((value) => value.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+      index += 1;
+      continue;
+    }
+
+    if (/^!{1,3}$/.test(token)) {
+      priority = token.length;
+      index += 1;
+      continue;
+    }
+
+    const date = dueDate ? null : parseDate(words, index, today);
+    if (date) {
+      dueDate = toDateKey(date.date);
+      dueTime = dueTime ?? date.time ?? null;
+      index += date.length;
+      continue;
+    }
+
+    const time = dueTime ? null : parseTime(word === "at" ? words[index + 1] ?? "" : word);
+    if (time) {
+      dueTime = time;
+      index += word === "at" ? 2 : 1;
+      continue;
+    }
+
+    titleWords.push(token);
+    index += 1;
+  }
+
+  if (dueTime && !dueDate) dueDate = toDateKey(today);
+
+  return {
+    title: titleWords.join(" "),
+    tags,
+    dueDate,
+    dueTime,
+    priority,
+    description,
+  };
+}
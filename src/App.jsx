@@ -1,8 +1,127 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import DOMPurify from "dompurify";
+import { marked } from "marked";
+import { ATTACHMENT_MAX_BYTES, ATTACHMENT_TYPES, formatFileSize, isImageAttachment } from "../shared/attachments.js";
+import { PRIORITY_LEVELS, parseQuickEntry } from "../shared/quickEntry.js";
 
 const API_BASE = "/api/tasks";
+const CLIENT_ID = globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+const PROJECTS_API_BASE = "/api/projects";
+const PROJECT_VIEW_PREFIX = "project:";
+const FILTERS_API_BASE = "/api/filters";
+const FILTER_VIEW_PREFIX = "filter:";
 const DEFAULT_TAG = "General";
 const RESERVED_FILTER_TAG = "All";
+const TAG_PATH_SEPARATOR = "/";
+const TASK_BUCKETS = [
+  { value: "inbox", label: "Inbox" },
+  { value: "anytime", label: "Anytime" },
+  { value: "someday", label: "Someday" },
+  { value: "scheduled", label: "Scheduled" },
+];
+const RESTORABLE_LOG_TYPES = ["task_deleted", "completed_tasks_deleted", "tasks_batch_deleted"];
+const LOG_EVENT_TYPES = [
+  { value: "task_created", label: "Created" },
+  { value: "task_updated", label: "Edited" },
+  { value: "task_completed", label: "Completed" },
+  { value: "task_reopened", label: "Reopened" },
+  { value: "task_deleted", label: "Deleted" },
+  { value: "completed_tasks_deleted", label: "Cleared completed" },
+  { value: "task_restored", label: "Restored" },
+  { value: "tasks_reordered", label: "Reordered" },
+  { value: "tasks_batch_updated", label: "Bulk edited" },
+  { value: "tasks_batch_deleted", label: "Bulk deleted" },
+  { value: "recurring_task_created", label: "Repeated" },
+  { value: "attachment_added", label: "Attachment added" },
+  { value: "attachment_deleted", label: "Attachment removed" },
+  { value: "tag_removed_from_task", label: "Tag removed" },
+  { value: "tag_deleted_everywhere", label: "Tag deleted" },
+  { value: "tag_renamed", label: "Tag renamed" },
+  { value: "tags_merged", label: "Tags merged" },
+  { value: "project_deleted", label: "Project deleted" },
+];
+const BATCH_ACTION_LABELS = {
+  complete: "Completed",
+  reopen: "Reopened",
+  "add-tag": "Tagged",
+  "remove-tag": "Untagged",
+  move: "Moved",
+};
+const MARKDOWN_PREVIEW_LENGTH = 280;
+const MARKDOWN_PREVIEW_TAGS = ["strong", "em", "code", "del", "s"];
+const SORT_MODES = [
+  { value: "manual", label: "Manual" },
+  { value: "priority", label: "Priority" },
+  { value: "due", label: "Due date" },
+  { value: "created", label: "Created" },
+  { value: "updated", label: "Updated" },
+  { value: "title", label: "Title" },
+];
+const SORT_MODES_STORAGE_KEY = "minithings.sortModes";
+const SIDEBAR_VIEWS = ["Inbox", "Logbook", "Today", "Upcoming", "Anytime", "Someday", "Tags"];
+const SHORTCUTS_STORAGE_KEY = "minithings.shortcuts";
+const SHORTCUT_ACTIONS = [
+  { id: "palette", label: "Open command palette", keys: ["mod+k"] },
+  { id: "help", label: "Show keyboard shortcuts", keys: ["?"] },
+  { id: "search", label: "Search tasks", keys: ["/"] },
+  { id: "newTask", label: "Add a task", keys: ["n"] },
+  { id: "nextTask", label: "Next task", keys: ["j", "arrowdown"] },
+  { id: "previousTask", label: "Previous task", keys: ["k", "arrowup"] },
+  { id: "openTask", label: "Edit task", keys: ["enter"] },
+  { id: "toggleTask", label: "Complete or reopen task", keys: ["x"] },
+  { id: "selectTask", label: "Select task", keys: ["s"] },
+  { id: "deleteTask", label: "Delete task", keys: ["delete"] },
+  ...SIDEBAR_VIEWS.map((view, index) => ({ id: `view:${view}`, label: `Go to ${view}`, keys: [String(index + 1)] })),
+];
+const EMPTY_LOG_FILTERS = { archive: "", type: "", from: "", to: "", taskId: "", tag: "" };
+const RECURRENCE_OPTIONS = [
+  { value: "", label: "Does not repeat" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+  { value: "after_completion", label: "After completion" },
+];
+const EDITABLE_TASK_FIELDS = [
+  { key: "title", label: "Title" },
+  { key: "description", label: "Description" },
+  { key: "checklist", label: "Checklist" },
+  { key: "when", label: "When" },
+  { key: "projectId", label: "Project" },
+  { key: "startDate", label: "Start date" },
+  { key: "dueDate", label: "Due date" },
+  { key: "dueTime", label: "Due time" },
+  { key: "priority", label: "Priority" },
+  { key: "recurrence", label: "Repeat" },
+  { key: "tags", label: "Tags" },
+];
+const FILTER_DONE_OPTIONS = [
+  { value: "open", label: "Open tasks" },
+  { value: "done", label: "Completed tasks" },
+  { value: "any", label: "Open and completed" },
+];
+const FILTER_DUE_OPTIONS = [
+  { value: "any", label: "Any due date" },
+  { value: "overdue", label: "Overdue" },
+  { value: "today", label: "Due today or overdue" },
+  { value: "next7", label: "Due in the next 7 days" },
+  { value: "none", label: "No due date" },
+  { value: "range", label: "Due between…" },
+];
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const VIEW_EMPTY_MESSAGES = {
+  Inbox: "Your inbox is empty.",
+  Today: "Nothing due today.",
+  Upcoming: "No upcoming tasks. Give a task a start or due date to schedule it.",
+  Anytime: "No Anytime tasks yet.",
+  Someday: "Nothing parked for Someday.",
+};
+const VIEW_BUCKETS = {
+  Inbox: "inbox",
+  Today: "anytime",
+  Upcoming: "scheduled",
+  Anytime: "anytime",
+  Someday: "someday",
+};
 
 function normalizeTaskTags(task) {
   const rawTags = Array.isArray(task?.tags)
@@ -14,7 +133,7 @@ function normalizeTaskTags(task) {
   const seen = new Set();
   const tags = [];
   for (const value of rawTags) {
-    const tag = String(value ?? "").trim();
+    const tag = normalizeTagPath(value);
     if (!tag) continue;
     const key = tag.toLowerCase();
     if (seen.has(key)) continue;
@@ -25,6 +144,379 @@ function normalizeTaskTags(task) {
   return tags.length > 0 ? tags : [DEFAULT_TAG];
 }
 
+function normalizeTagPath(value) {
+  return String(value ?? "")
+    .split(TAG_PATH_SEPARATOR)
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join(TAG_PATH_SEPARATOR);
+}
+
+function tagAncestors(tag) {
+  const segments = tag.split(TAG_PATH_SEPARATOR);
+  return segments.slice(1).map((_, index) => segments.slice(0, index + 1).join(TAG_PATH_SEPARATOR));
+}
+
+function withTagAncestors(tags) {
+  const byKey = new Map();
+  for (const tag of tags) {
+    for (const path of [...tagAncestors(tag), tag]) {
+      if (!byKey.has(path.toLowerCase())) byKey.set(path.toLowerCase(), path);
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+function buildTagTree(tags, tagMeta) {
+  const nodes = new Map();
+  const roots = [];
+  for (const path of withTagAncestors(tags)) {
+    const segments = path.split(TAG_PATH_SEPARATOR);
+    nodes.set(path.toLowerCase(), { path, name: segments[segments.length - 1], depth: segments.length - 1, children: [] });
+  }
+  for (const node of nodes.values()) {
+    const parent = tagAncestors(node.path).pop();
+    (parent ? nodes.get(parent.toLowerCase()).children : roots).push(node);
+  }
+
+  const ordered = [];
+  const visit = (list) => {
+    for (const node of list.sort((a, b) => compareTags(a.path, b.path, tagMeta))) {
+      ordered.push({ path: node.path, name: node.name, depth: node.depth, hasChildren: node.children.length > 0 });
+      visit(node.children);
+    }
+  };
+  visit(roots);
+  return ordered;
+}
+
+function shortcutFromEvent(event) {
+  if (["Control", "Meta", "Shift", "Alt"].includes(event.key)) return "";
+  const key = event.key === " " ? "space" : event.key.toLowerCase();
+  const modifiers = [];
+  if (event.ctrlKey || event.metaKey) modifiers.push("mod");
+  if (event.altKey) modifiers.push("alt");
+  if (event.shiftKey && key.length > 1) modifiers.push("shift");
+  return [...modifiers, key].join("+");
+}
+
+function formatShortcut(shortcut) {
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+  return shortcut
+    .split("+")
+    .map((part) => {
+      if (part === "mod") return isMac ? "⌘" : "Ctrl";
+      if (part === "alt") return isMac ? "⌥" : "Alt";
+      if (part === "arrowdown") return "↓";
+      if (part === "arrowup") return "↑";
+      return part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1);
+    })
+    .join(isMac ? "" : "+");
+}
+
+function loadShortcutBindings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(window.localStorage.getItem(SHORTCUTS_STORAGE_KEY) ?? "{}") ?? {};
+  } catch {
+    saved = {};
+  }
+  return Object.fromEntries(
+    SHORTCUT_ACTIONS.map((action) => [action.id, Array.isArray(saved[action.id]) ? saved[action.id] : action.keys])
+  );
+}
+
+function shortcutActionFor(event, bindings) {
+  const shortcut = shortcutFromEvent(event);
+  if (!shortcut) return null;
+  return SHORTCUT_ACTIONS.find((action) => bindings[action.id]?.includes(shortcut))?.id ?? null;
+}
+
+function isTypingTarget(target) {
+  return Boolean(target?.closest?.("input, textarea, select, [contenteditable='true']"));
+}
+
+function buildTagMetaMap(registry) {
+  return new Map(registry.map((meta) => [meta.name.toLowerCase(), meta]));
+}
+
+function hexToRgba(hex, alpha) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+function tagStyle(meta) {
+  if (!meta?.color) return undefined;
+  return { background: hexToRgba(meta.color, 0.14), borderColor: hexToRgba(meta.color, 0.45) };
+}
+
+function compareTags(a, b, tagMeta) {
+  const orderA = tagMeta.get(a.toLowerCase())?.order ?? Infinity;
+  const orderB = tagMeta.get(b.toLowerCase())?.order ?? Infinity;
+  return orderA - orderB || a.localeCompare(b);
+}
+
+function TagLabel({ tag, tagMeta, showColor = false, label }) {
+  const meta = tagMeta.get(tag.toLowerCase());
+  return (
+    <>
+      {showColor && meta?.color && <span className="tagColorDot" style={{ background: meta.color }} aria-hidden="true" />}
+      {meta?.icon && <span className="tagIcon" aria-hidden="true">{meta.icon}</span>}
+      {label ?? tag}
+    </>
+  );
+}
+
+function tagMatchesSelection(tag, selected) {
+  const value = tag.toLowerCase();
+  const parent = selected.toLowerCase();
+  return value === parent || value.startsWith(`${parent}${TAG_PATH_SEPARATOR}`);
+}
+
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function todayKey() {
+  return toDateKey(new Date());
+}
+
+function parseDateKey(dateKey) {
+  const [year, month, day] = String(dateKey).split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function formatDayLabel(dateKey) {
+  const today = todayKey();
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (dateKey === today) return "Today";
+  if (dateKey === toDateKey(tomorrow)) return "Tomorrow";
+  return parseDateKey(dateKey).toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function formatShortDate(dateKey) {
+  return parseDateKey(dateKey).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A" && node.getAttribute("href")) {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+});
+
+function renderMarkdown(text, { preview = false } = {}) {
+  const source = preview && text.length > MARKDOWN_PREVIEW_LENGTH ? `${text.slice(0, MARKDOWN_PREVIEW_LENGTH)}…` : text;
+  const html = marked.parse(source, { gfm: true, breaks: !preview });
+  return DOMPurify.sanitize(html, preview ? { ALLOWED_TAGS: MARKDOWN_PREVIEW_TAGS, ALLOWED_ATTR: [] } : {});
+}
+
+function MarkdownView({ text, className = "" }) {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  return <div className={`markdown ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+function loadSortModes() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SORT_MODES_STORAGE_KEY) ?? "{}");
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+function compareTasksBy(sortMode) {
+  switch (sortMode) {
+    case "priority":
+      return (a, b) => (b.priority ?? 0) - (a.priority ?? 0);
+    case "due":
+      return (a, b) =>
+        Number(!a.dueDate) - Number(!b.dueDate) ||
+        `${a.dueDate ?? ""} ${a.dueTime ?? "24:00"}`.localeCompare(`${b.dueDate ?? ""} ${b.dueTime ?? "24:00"}`);
+    case "created":
+      return (a, b) => String(b.createdAt ?? "").localeCompare(String(a.createdAt ?? ""));
+    case "updated":
+      return (a, b) => String(b.updatedAt ?? "").localeCompare(String(a.updatedAt ?? ""));
+    case "title":
+      return (a, b) => a.title.localeCompare(b.title);
+    default:
+      return null;
+  }
+}
+
+function isDueToday(task, today) {
+  if (!task.dueDate) return false;
+  if (task.dueDate === today) return true;
+  return task.dueDate < today && !task.done;
+}
+
+function upcomingDateKey(task, today) {
+  if (task.startDate && task.startDate > today) return task.startDate;
+  if (task.dueDate && task.dueDate > today) return task.dueDate;
+  return null;
+}
+
+function describeRecurrence(recurrence) {
+  if (!recurrence) return "";
+  switch (recurrence.type) {
+    case "daily":
+      return recurrence.interval > 1 ? `Every ${recurrence.interval} days` : "Every day";
+    case "weekly":
+      return `Every ${recurrence.weekdays.map((day) => WEEKDAY_LABELS[day]).join(", ")}`;
+    case "monthly":
+      return recurrence.interval > 1 ? `Every ${recurrence.interval} months` : "Every month";
+    case "after_completion":
+      return `${recurrence.days} day${recurrence.days === 1 ? "" : "s"} after completion`;
+    default:
+      return "";
+  }
+}
+
+function taskFieldValue(task, key) {
+  switch (key) {
+    case "title":
+      return String(task.title ?? "").trim();
+    case "description":
+      return String(task.description ?? "").trim();
+    case "tags":
+      return normalizeTaskTags(task);
+    case "checklist":
+      return (task.checklist ?? []).map((item) => ({ text: item.text, done: Boolean(item.done) }));
+    case "when":
+      return task.when ?? "inbox";
+    case "priority":
+      return task.priority ?? 0;
+    default:
+      return task[key] ?? null;
+  }
+}
+
+function sameFieldValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function taskContentChanged(before, after) {
+  return (
+    before.done !== after.done ||
+    EDITABLE_TASK_FIELDS.some(({ key }) => !sameFieldValue(taskFieldValue(before, key), taskFieldValue(after, key)))
+  );
+}
+
+function formatTaskFieldValue(key, value, projects = []) {
+  switch (key) {
+    case "tags":
+      return value.join(", ");
+    case "checklist":
+      return value.length ? value.map((item) => `${item.done ? "☑" : "☐"} ${item.text}`).join("\n") : "No steps";
+    case "when":
+      return TASK_BUCKETS.find((bucket) => bucket.value === value)?.label ?? value;
+    case "projectId":
+      return value ? projects.find((project) => project.id === value)?.title ?? "Deleted project" : "No project";
+    case "startDate":
+    case "dueDate":
+      return value ? formatDayLabel(value) : "None";
+    case "dueTime":
+      return value || "None";
+    case "priority":
+      return PRIORITY_LEVELS.find((level) => level.value === value)?.label ?? "None";
+    case "recurrence":
+      return describeRecurrence(value) || "Does not repeat";
+    default:
+      return value || "(empty)";
+  }
+}
+
+function selectViewTasks(view, tasks, today) {
+  switch (view) {
+    case "Inbox":
+      return tasks.filter((task) => (task.when ?? "inbox") === "inbox");
+    case "Today":
+      return tasks.filter((task) => isDueToday(task, today));
+    case "Upcoming":
+      return tasks.filter((task) => upcomingDateKey(task, today));
+    case "Anytime":
+      return tasks.filter(
+        (task) =>
+          task.when === "anytime" ||
+          (task.when === "scheduled" && (!task.startDate || task.startDate <= today))
+      );
+    case "Someday":
+      return tasks.filter((task) => task.when === "someday");
+    default:
+      return tasks;
+  }
+}
+
+function matchesSmartFilter(task, filter, today) {
+  const taskTags = normalizeTaskTags(task);
+  if (filter.tags.length > 0) {
+    const matchesTag = (selected) => taskTags.some((tag) => tagMatchesSelection(tag, selected));
+    const matches = filter.tagMode === "all" ? filter.tags.every(matchesTag) : filter.tags.some(matchesTag);
+    if (!matches) return false;
+  }
+  if (filter.excludeTags.some((excluded) => taskTags.some((tag) => tagMatchesSelection(tag, excluded)))) {
+    return false;
+  }
+
+  if (filter.done === "open" && task.done) return false;
+  if (filter.done === "done" && !task.done) return false;
+
+  const nextWeek = parseDateKey(today);
+  nextWeek.setDate(nextWeek.getDate() + 7);
+  switch (filter.due) {
+    case "overdue":
+      if (!task.dueDate || task.dueDate >= today) return false;
+      break;
+    case "today":
+      if (!task.dueDate || task.dueDate > today) return false;
+      break;
+    case "next7":
+      if (!task.dueDate || task.dueDate < today || task.dueDate > toDateKey(nextWeek)) return false;
+      break;
+    case "none":
+      if (task.dueDate) return false;
+      break;
+    case "range":
+      if (!task.dueDate) return false;
+      if (filter.dueFrom && task.dueDate < filter.dueFrom) return false;
+      if (filter.dueTo && task.dueDate > filter.dueTo) return false;
+      break;
+    default:
+      break;
+  }
+
+  if (filter.text) {
+    const haystack = [task.title, task.description, ...(task.checklist ?? []).map((item) => item.text), ...taskTags]
+      .join("\n")
+      .toLowerCase();
+    if (!haystack.includes(filter.text.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+function groupTasksByUpcomingDay(tasks) {
+  const today = todayKey();
+  const groups = new Map();
+  for (const task of tasks) {
+    const key = upcomingDateKey(task, today);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task);
+  }
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, groupTasks]) => ({ key, label: formatDayLabel(key), tasks: groupTasks }));
+}
+
 async function readJson(response) {
   const text = await response.text();
   if (!text) return null;
@@ -37,21 +529,31 @@ async function readJson(response) {
 
 async function apiRequest(path, options = {}) {
   const response = await fetch(path, {
+    ...options,
     headers: {
       "Content-Type": "application/json",
+      "X-Client-Id": CLIENT_ID,
       ...(options.headers ?? {}),
     },
-    ...options,
   });
 
   const data = await readJson(response);
   if (!response.ok) {
-    throw new Error(data?.error || `Request failed (${response.status})`);
+    const error = new Error(data?.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
   }
 
   return data;
 }
 
+function attachmentUrl(taskId, attachmentId, { download = false } = {}) {
+  return `${API_BASE}/${encodeURIComponent(taskId)}/attachments/${encodeURIComponent(attachmentId)}${
+    download ? "?download=1" : ""
+  }`;
+}
+
 const tasksApi = {
   list() {
     return apiRequest(API_BASE);
@@ -62,18 +564,40 @@ const tasksApi = {
       body: JSON.stringify(payload),
     });
   },
-  update(taskId, payload) {
+  update(taskId, payload, { ifMatch } = {}) {
     return apiRequest(`${API_BASE}/${encodeURIComponent(taskId)}`, {
       method: "PUT",
+      headers: ifMatch ? { "If-Match": `"${ifMatch}"` } : undefined,
       body: JSON.stringify(payload),
     });
   },
+  uploadAttachment(taskId, file) {
+    return apiRequest(`${API_BASE}/${encodeURIComponent(taskId)}/attachments`, {
+      method: "POST",
+      headers: {
+        "Content-Type": file.type || "application/octet-stream",
+        "X-File-Name": encodeURIComponent(file.name),
+      },
+      body: file,
+    });
+  },
+  deleteAttachment(taskId, attachmentId) {
+    return apiRequest(attachmentUrl(taskId, attachmentId), {
+      method: "DELETE",
+    });
+  },
   reorder(taskIds) {
     return apiRequest(`${API_BASE}/reorder`, {
       method: "POST",
       body: JSON.stringify({ taskIds }),
     });
   },
+  batch(action, taskIds, options = {}) {
+    return apiRequest(`${API_BASE}/batch`, {
+      method: "POST",
+      body: JSON.stringify({ ...options, action, taskIds }),
+    });
+  },
   deleteCompleted() {
     return apiRequest(`${API_BASE}/completed`, {
       method: "DELETE",
@@ -85,28 +609,125 @@ const tasksApi = {
       body: JSON.stringify({ tag }),
     });
   },
-  deleteTask(taskId) {
+  renameTag(from, to) {
+    return apiRequest("/api/tags/rename", {
+      method: "POST",
+      body: JSON.stringify({ from, to }),
+    });
+  },
+  listTagRegistry() {
+    return apiRequest("/api/tags");
+  },
+  updateTagMeta(name, payload) {
+    return apiRequest(`/api/tags/meta/${encodeURIComponent(name)}`, {
+      method: "PUT",
+      body: JSON.stringify(payload),
+    });
+  },
+  deleteTagMeta(name) {
+    return apiRequest(`/api/tags/meta/${encodeURIComponent(name)}`, {
+      method: "DELETE",
+    });
+  },
+  mergeTags(sources, target) {
+    return apiRequest("/api/tags/merge", {
+      method: "POST",
+      body: JSON.stringify({ sources, target }),
+    });
+  },
+  deleteTask(taskId, { ifMatch } = {}) {
     return apiRequest(`${API_BASE}/${encodeURIComponent(taskId)}`, {
       method: "DELETE",
+      headers: ifMatch ? { "If-Match": `"${ifMatch}"` } : undefined,
     });
   },
-  listLogbook() {
-    return apiRequest("/api/logbook");
+  listLogbook(params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    return apiRequest(`/api/logbook${query.size ? `?${query}` : ""}`);
   },
-  clearLogbook() {
+  taskHistory(taskId) {
+    return apiRequest(`${API_BASE}/${encodeURIComponent(taskId)}/history`);
+  },
+  archiveLogbook() {
     return apiRequest("/api/logbook", {
       method: "DELETE",
     });
   },
+  listLogbookArchives() {
+    return apiRequest("/api/logbook/archives");
+  },
+  readLogbookArchive(month, params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    return apiRequest(`/api/logbook/archives/${encodeURIComponent(month)}${query.size ? `?${query}` : ""}`);
+  },
+  restoreLogEntry(entryId) {
+    return apiRequest(`/api/logbook/${encodeURIComponent(entryId)}/restore`, {
+      method: "POST",
+    });
+  },
+  search(query) {
+    return apiRequest(`/api/search?q=${encodeURIComponent(query)}`);
+  },
+  listFilters() {
+    return apiRequest(FILTERS_API_BASE);
+  },
+  createFilter(payload) {
+    return apiRequest(FILTERS_API_BASE, {
+      method: "POST",
+      body: JSON.stringify(payload),
+    });
+  },
+  updateFilter(filterId, payload) {
+    return apiRequest(`${FILTERS_API_BASE}/${encodeURIComponent(filterId)}`, {
+      method: "PUT",
+      body: JSON.stringify(payload),
+    });
+  },
+  deleteFilter(filterId) {
+    return apiRequest(`${FILTERS_API_BASE}/${encodeURIComponent(filterId)}`, {
+      method: "DELETE",
+    });
+  },
+  listProjects() {
+    return apiRequest(PROJECTS_API_BASE);
+  },
+  createProject(payload) {
+    return apiRequest(PROJECTS_API_BASE, {
+      method: "POST",
+      body: JSON.stringify(payload),
+    });
+  },
+  updateProject(projectId, payload) {
+    return apiRequest(`${PROJECTS_API_BASE}/${encodeURIComponent(projectId)}`, {
+      method: "PUT",
+      body: JSON.stringify(payload),
+    });
+  },
+  deleteProject(projectId) {
+    return apiRequest(`${PROJECTS_API_BASE}/${encodeURIComponent(projectId)}`, {
+      method: "DELETE",
+    });
+  },
 };
 
-function Sidebar({ isOpen, onClose, activeView, onSelectView }) {
-  const items = ["Inbox", "Logbook", "Today", "Upcoming", "Anytime", "Someday"];
+function Sidebar({
+  isOpen,
+  onClose,
+  activeView,
+  onSelectView,
+  viewCounts,
+  projects,
+  projectCounts,
+  onCreateProject,
+  filters,
+  filterCounts,
+  onCreateFilter,
+}) {
   return (
     <aside className={`sidebar ${isOpen ? "open" : ""}`}>
       <div className="appTitle">MiniThings</div>
       <nav className="nav">
-        {items.map((label) => (
+        {SIDEBAR_VIEWS.map((label) => (
           <button
             key={label}
             className={`navItem ${label === activeView ? "active" : ""}`}
@@ -115,118 +736,1369 @@ function Sidebar({ isOpen, onClose, activeView, onSelectView }) {
               onClose();
             }}
           >
-            {label}
+            <span>{label}</span>
+            {viewCounts[label] > 0 && <span className="navCount">{viewCounts[label]}</span>}
           </button>
         ))}
       </nav>
 
       <div className="sectionTitle">Projects</div>
       <div className="projects">
-        <button className="projectItem" onClick={onClose}>Work</button>
-        <button className="projectItem" onClick={onClose}>Personal</button>
+        {projects.map((project) => {
+          const viewId = `${PROJECT_VIEW_PREFIX}${project.id}`;
+          return (
+            <button
+              key={project.id}
+              className={`projectItem ${viewId === activeView ? "active" : ""}`}
+              onClick={() => {
+                onSelectView(viewId);
+                onClose();
+              }}
+            >
+              <span>{project.title}</span>
+              {projectCounts[project.id] > 0 && <span className="navCount">{projectCounts[project.id]}</span>}
+            </button>
+          );
+        })}
+        <button type="button" className="projectItem newProjectButton" onClick={() => void onCreateProject()}>
+          + New Project
+        </button>
+      </div>
+
+      <div className="sectionTitle">Filters</div>
+      <div className="projects">
+        {filters.map((filter) => {
+          const viewId = `${FILTER_VIEW_PREFIX}${filter.id}`;
+          return (
+            <button
+              key={filter.id}
+              className={`projectItem ${viewId === activeView ? "active" : ""}`}
+              onClick={() => {
+                onSelectView(viewId);
+                onClose();
+              }}
+            >
+              <span>{filter.name}</span>
+              {filterCounts[filter.id] > 0 && <span className="navCount">{filterCounts[filter.id]}</span>}
+            </button>
+          );
+        })}
+        <button
+          type="button"
+          className="projectItem newProjectButton"
+          onClick={() => {
+            onCreateFilter();
+            onClose();
+          }}
+        >
+          + New Filter
+        </button>
       </div>
     </aside>
   );
 }
 
-function formatLogDate(isoString) {
-  try {
-    return new Date(isoString).toLocaleString();
-  } catch {
-    return String(isoString ?? "");
-  }
-}
+function CommandPalette({ commands, bindings, onClose }) {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
 
-function summarizeLogEntry(entry) {
-  const data = entry?.data ?? {};
-  switch (entry?.type) {
-    case "task_completed":
-      return `Completed: ${data.title ?? "Task"}`;
-    case "task_reopened":
-      return `Reopened: ${data.title ?? "Task"}`;
-    case "task_deleted":
-      return `Deleted task: ${data.title ?? "Task"}`;
-    case "completed_tasks_deleted":
-      return `Deleted ${data.count ?? 0} completed task${data.count === 1 ? "" : "s"}`;
-    case "tag_removed_from_task":
-      return `Removed tag "${data.tag ?? ""}" from ${data.title ?? "task"}`;
-    case "tag_deleted_everywhere":
-      return `Deleted tag "${data.tag ?? ""}" from ${data.changedCount ?? 0} task${data.changedCount === 1 ? "" : "s"}`;
-    default:
-      return entry?.type ?? "Log event";
-  }
-}
+  const matches = useMemo(() => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return commands
+      .filter((command) => terms.every((term) => `${command.group} ${command.label}`.toLowerCase().includes(term)))
+      .slice(0, 50);
+  }, [commands, query]);
 
-function renderLogEntryMeta(entry) {
-  const data = entry?.data ?? {};
-  if (entry?.type === "completed_tasks_deleted" && Array.isArray(data.tasks)) {
-    return data.tasks.map((task) => task.title).join(", ");
-  }
-  if (entry?.type === "task_completed" || entry?.type === "task_reopened" || entry?.type === "task_deleted") {
-    const tags = normalizeTaskTags(data.task ?? {});
-    return tags.length ? `Tags: ${tags.join(", ")}` : "";
+  useEffect(() => {
+    listRef.current?.querySelector(".paletteItem.active")?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  function runCommand(command) {
+    if (!command) return;
+    onClose();
+    void command.run();
   }
-  if (entry?.type === "tag_removed_from_task") {
-    return `Before: ${(data.beforeTags ?? []).join(", ") || "none"} | After: ${(data.afterTags ?? []).join(", ") || "none"}`;
+
+  function onKeyDown(event) {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex((prev) => Math.min(prev + 1, matches.length - 1));
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((prev) => Math.max(prev - 1, 0));
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      runCommand(matches[activeIndex]);
+    } else if (event.key === "Escape") {
+      onClose();
+    }
   }
-  return "";
-}
 
-function LogbookView({ entries, isLoading, onRefresh, onClear }) {
   return (
-    <section className="list">
-      <header className="listHeader">
-        <h1>Logbook</h1>
-        <div className="listHeaderMetaRow">
-          <div className="subtleMeta">{entries.length} event{entries.length === 1 ? "" : "s"}</div>
-          <div className="logbookHeaderActions">
-            <button type="button" className="secondaryButton" onClick={() => void onRefresh()} disabled={isLoading}>
-              Refresh
-            </button>
-            <button type="button" className="dangerButton" onClick={() => void onClear()} disabled={isLoading || entries.length === 0}>
-              Clear Log
+    <div className="modalBackdrop paletteBackdrop" onClick={onClose} role="presentation">
+      <div
+        className="modalCard paletteCard"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+      >
+        <input
+          className="paletteInput"
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={onKeyDown}
+          placeholder="Type a command…"
+          aria-label="Command"
+          autoFocus
+        />
+        <div className="paletteList" ref={listRef} role="listbox">
+          {matches.length === 0 && <div className="searchEmpty">No matching commands.</div>}
+          {matches.map((command, index) => (
+            <button
+              key={command.id}
+              type="button"
+              className={`paletteItem ${index === activeIndex ? "active" : ""}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+              role="option"
+              aria-selected={index === activeIndex}
+            >
+              <span className="paletteGroup">{command.group}</span>
+              <span className="paletteLabel">{command.label}</span>
+              {command.shortcutId && bindings[command.shortcutId]?.[0] && (
+                <kbd className="shortcutKey">{formatShortcut(bindings[command.shortcutId][0])}</kbd>
+              )}
             </button>
-          </div>
+          ))}
         </div>
-      </header>
-
-      <div className="card">
-        {isLoading && <div className="statusBanner">Loading logbook…</div>}
-        {!isLoading && entries.length === 0 && (
-          <div className="emptyLogbook">No log entries yet.</div>
-        )}
-        {entries.map((entry) => (
-          <div key={entry.id} className="logEntry">
-            <div className="logEntryTitle">{summarizeLogEntry(entry)}</div>
-            <div className="logEntryTime">{formatLogDate(entry.createdAt)}</div>
-            {renderLogEntryMeta(entry) && (
-              <div className="logEntryMeta">{renderLogEntryMeta(entry)}</div>
-            )}
-          </div>
-        ))}
       </div>
-    </section>
+    </div>
   );
 }
 
-function EditTaskModal({ task, onClose, onSave, onDeleteTask, tagOptions: _tagOptions }) {
-  const [title, setTitle] = useState(task.title);
-  const [description, setDescription] = useState(task.description ?? "");
-  const [tags, setTags] = useState(normalizeTaskTags(task));
-  const [newTagInput, setNewTagInput] = useState("");
-  const titleInputRef = useRef(null);
-
-  useEffect(() => {
-    setTitle(task.title);
-    setDescription(task.description ?? "");
-    setTags(normalizeTaskTags(task));
-    setNewTagInput("");
-  }, [task]);
-
-  useEffect(() => {
-    titleInputRef.current?.focus();
-    titleInputRef.current?.select();
-  }, []);
+function ShortcutsHelpModal({ bindings, onChangeBinding, onResetBindings, onClose }) {
+  const [recording, setRecording] = useState(null);
+
+  useEffect(() => {
+    function onKeyDown(event) {
+      if (!recording) {
+        if (event.key === "Escape") onClose();
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key === "Escape") {
+        setRecording(null);
+        return;
+      }
+      const shortcut = shortcutFromEvent(event);
+      if (!shortcut) return;
+      onChangeBinding(recording, shortcut);
+      setRecording(null);
+    }
+
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [recording, onChangeBinding, onClose]);
+
+  return (
+    <div className="modalBackdrop" onClick={onClose} role="presentation">
+      <div
+        className="modalCard"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+      >
+        <div className="modalHeader">
+          <h2 id="shortcuts-title">Keyboard Shortcuts</h2>
+          <button type="button" className="iconButton" onClick={onClose} aria-label="Close keyboard shortcuts">
+            ×
+          </button>
+        </div>
+
+        <div className="shortcutList">
+          {SHORTCUT_ACTIONS.map((action) => (
+            <div key={action.id} className="shortcutRow">
+              <span>{action.label}</span>
+              <span className="shortcutKeys">
+                {recording === action.id ? (
+                  <span className="subtleMeta">Press a key… (Esc to cancel)</span>
+                ) : bindings[action.id].length > 0 ? (
+                  bindings[action.id].map((shortcut) => (
+                    <kbd key={shortcut} className="shortcutKey">{formatShortcut(shortcut)}</kbd>
+                  ))
+                ) : (
+                  <span className="subtleMeta">Not set</span>
+                )}
+              </span>
+              <button
+                type="button"
+                className="secondaryButton"
+                onClick={() => setRecording(recording === action.id ? null : action.id)}
+              >
+                Change
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="modalActions shortcutFooter">
+          <span className="subtleMeta">Assigning a key removes it from any other action.</span>
+          <button type="button" className="secondaryButton" onClick={onResetBindings}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function renderHighlighted(text, highlights) {
+  if (!highlights?.length) return text;
+  const parts = [];
+  let cursor = 0;
+  for (const [start, end] of highlights) {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  }
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+}
+
+function SearchBar({ onOpenTask, inputRef }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [searchError, setSearchError] = useState("");
+  const trimmedQuery = query.trim();
+
+  useEffect(() => {
+    if (!trimmedQuery) return;
+    let cancelled = false;
+    const timer = window.setTimeout(async () => {
+      try {
+        const data = await tasksApi.search(trimmedQuery);
+        if (cancelled) return;
+        setResults(Array.isArray(data?.results) ? data.results : []);
+        setTotal(data?.total ?? 0);
+        setActiveIndex(0);
+        setSearchError("");
+      } catch (error) {
+        if (!cancelled) setSearchError(error.message || "Search failed.");
+      }
+    }, 200);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [trimmedQuery]);
+
+  const visibleResults = trimmedQuery ? results : [];
+
+  function openResult(result) {
+    if (!result) return;
+    onOpenTask(result.task.id);
+    setIsOpen(false);
+  }
+
+  function onKeyDown(event) {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((prev) => Math.min(prev + 1, visibleResults.length - 1));
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((prev) => Math.max(prev - 1, 0));
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      openResult(visibleResults[activeIndex]);
+    } else if (event.key === "Escape") {
+      setIsOpen(false);
+    }
+  }
+
+  return (
+    <div className="searchBar">
+      <input
+        ref={inputRef}
+        type="search"
+        className="searchInput"
+        value={query}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={onKeyDown}
+        placeholder="Search tasks… (try tag:Work done:false)"
+        aria-label="Search tasks"
+        role="combobox"
+        aria-expanded={isOpen && visibleResults.length > 0}
+        aria-controls="search-results"
+      />
+      {isOpen && trimmedQuery && (
+        <div className="searchResults" id="search-results" role="listbox">
+          {searchError && <div className="searchEmpty">{searchError}</div>}
+          {!searchError && visibleResults.length === 0 && <div className="searchEmpty">No matching tasks.</div>}
+          {visibleResults.map((result, index) => (
+            <button
+              key={result.task.id}
+              type="button"
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`searchResult ${index === activeIndex ? "active" : ""}`}
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => openResult(result)}
+            >
+              <span className={`searchResultTitle ${result.task.done ? "done" : ""}`}>
+                {renderHighlighted(result.task.title, result.titleHighlights)}
+              </span>
+              {result.snippet && (
+                <span className="searchResultSnippet">
+                  {renderHighlighted(result.snippet.text, result.snippet.highlights)}
+                </span>
+              )}
+              <span className="searchResultTags">{normalizeTaskTags(result.task).join(", ")}</span>
+            </button>
+          ))}
+          {total > visibleResults.length && (
+            <div className="searchEmpty">Showing {visibleResults.length} of {total} matches</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatLogTime(isoString) {
+  try {
+    return new Date(isoString).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  } catch {
+    return String(isoString ?? "");
+  }
+}
+
+function formatLogDay(dateKey) {
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  if (dateKey === todayKey()) return "Today";
+  if (dateKey === toDateKey(yesterday)) return "Yesterday";
+  const date = parseDateKey(dateKey);
+  return date.toLocaleDateString(undefined, {
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+    ...(date.getFullYear() === new Date().getFullYear() ? null : { year: "numeric" }),
+  });
+}
+
+function formatArchiveMonth(month) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+}
+
+function groupLogEntriesByDay(entries) {
+  const groups = [];
+  for (const entry of entries) {
+    const dateKey = toDateKey(new Date(entry.createdAt));
+    const last = groups[groups.length - 1];
+    if (last?.dateKey === dateKey) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ dateKey, entries: [entry] });
+    }
+  }
+  return groups;
+}
+
+function buildLogbookParams(filters) {
+  const to = filters.to ? parseDateKey(filters.to) : null;
+  to?.setDate(to.getDate() + 1);
+  return {
+    type: filters.type,
+    taskId: filters.taskId,
+    tag: filters.tag.trim(),
+    from: filters.from ? parseDateKey(filters.from).toISOString() : "",
+    to: to ? to.toISOString() : "",
+  };
+}
+
+function hasLogFilters(filters) {
+  return Object.values(filters).some((value) => String(value).trim());
+}
+
+function summarizeLogEntry(entry) {
+  const data = entry?.data ?? {};
+  switch (entry?.type) {
+    case "task_created":
+      return `Created: ${data.title ?? "Task"}`;
+    case "task_updated": {
+      const count = Object.keys(data.changes ?? {}).length;
+      return `Edited ${count} field${count === 1 ? "" : "s"}: ${data.title ?? "Task"}`;
+    }
+    case "tasks_reordered":
+      return `Reordered ${data.count ?? 0} task${data.count === 1 ? "" : "s"}`;
+    case "task_completed":
+      return `Completed: ${data.title ?? "Task"}`;
+    case "task_reopened":
+      return `Reopened: ${data.title ?? "Task"}`;
+    case "task_deleted":
+      return `Deleted task: ${data.title ?? "Task"}`;
+    case "completed_tasks_deleted":
+      return `Deleted ${data.count ?? 0} completed task${data.count === 1 ? "" : "s"}`;
+    case "tasks_batch_updated":
+      return `${BATCH_ACTION_LABELS[data.action] ?? "Updated"} ${data.count ?? 0} task${data.count === 1 ? "" : "s"}${
+        data.tag ? ` "${data.tag}"` : data.when ? ` to ${formatTaskFieldValue("when", data.when)}` : ""
+      }`;
+    case "tasks_batch_deleted":
+      return `Deleted ${data.count ?? 0} selected task${data.count === 1 ? "" : "s"}`;
+    case "tag_removed_from_task":
+      return `Removed tag "${data.tag ?? ""}" from ${data.title ?? "task"}`;
+    case "task_restored":
+      return `Restored: ${data.title ?? "Task"}`;
+    case "recurring_task_created":
+      return `Repeated: ${data.title ?? "Task"}`;
+    case "attachment_added":
+      return `Attached "${data.attachment?.name ?? "file"}" to ${data.title ?? "task"}`;
+    case "attachment_deleted":
+      return `Removed "${data.attachment?.name ?? "file"}" from ${data.title ?? "task"}`;
+    case "project_deleted":
+      return `Deleted project: ${data.title ?? "Project"}`;
+    case "tag_renamed":
+      return `Renamed tag "${data.from ?? ""}" to "${data.to ?? ""}" on ${data.changedCount ?? 0} task${data.changedCount === 1 ? "" : "s"}`;
+    case "tags_merged":
+      return `Merged ${(data.sources ?? []).map((tag) => `"${tag}"`).join(", ")} into "${data.target ?? ""}" on ${data.changedCount ?? 0} task${data.changedCount === 1 ? "" : "s"}`;
+    case "tag_deleted_everywhere":
+      return `Deleted tag "${data.tag ?? ""}" from ${data.changedCount ?? 0} task${data.changedCount === 1 ? "" : "s"}`;
+    default:
+      return entry?.type ?? "Log event";
+  }
+}
+
+function renderLogEntryMeta(entry, projects) {
+  const data = entry?.data ?? {};
+  if (entry?.type === "task_updated") {
+    return (
+      <ul className="logDiff">
+        {EDITABLE_TASK_FIELDS.filter(({ key }) => data.changes?.[key]).map(({ key, label }) => (
+          <li key={key} className="logDiffRow">
+            <span className="logDiffField">{label}</span>
+            <span className="logDiffBefore">
+              {formatTaskFieldValue(key, taskFieldValue({ [key]: data.changes[key].before }, key), projects)}
+            </span>
+            <span className="logDiffArrow">→</span>
+            <span className="logDiffAfter">
+              {formatTaskFieldValue(key, taskFieldValue({ [key]: data.changes[key].after }, key), projects)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  if (entry?.type === "tasks_reordered" && Array.isArray(data.moves)) {
+    const shown = data.moves.slice(0, 5);
+    const hidden = data.moves.length - shown.length;
+    return (
+      <ul className="logDiff">
+        {shown.map((move) => (
+          <li key={move.taskId} className="logDiffRow">
+            <span className="logDiffField">{move.title}</span>
+            <span className="logDiffBefore">#{move.before + 1}</span>
+            <span className="logDiffArrow">→</span>
+            <span className="logDiffAfter">#{move.after + 1}</span>
+          </li>
+        ))}
+        {hidden > 0 && <li className="logDiffMore">and {hidden} more</li>}
+      </ul>
+    );
+  }
+  if (entry?.type === "task_created") {
+    const tags = normalizeTaskTags(data.task ?? {});
+    const bucket = formatTaskFieldValue("when", data.task?.when ?? "inbox");
+    return tags.length ? `${bucket} · Tags: ${tags.join(", ")}` : bucket;
+  }
+  if (entry?.type === "tasks_batch_updated" && Array.isArray(data.items)) {
+    const shown = data.items.slice(0, 5).map((item) => item.title).join(", ");
+    const hidden = data.items.length - 5;
+    return hidden > 0 ? `${shown} and ${hidden} more` : shown;
+  }
+  if ((entry?.type === "completed_tasks_deleted" || entry?.type === "tasks_batch_deleted") && Array.isArray(data.tasks)) {
+    return data.tasks.map((task) => task.title).join(", ");
+  }
+  if (entry?.type === "task_completed" || entry?.type === "task_reopened" || entry?.type === "task_deleted") {
+    const tags = normalizeTaskTags(data.task ?? {});
+    return tags.length ? `Tags: ${tags.join(", ")}` : "";
+  }
+  if (entry?.type === "task_restored" && data.originalTaskId && data.originalTaskId !== data.taskId) {
+    return "Restored with a new ID because the original ID was already in use";
+  }
+  if (entry?.type === "recurring_task_created") {
+    const nextDate = data.task?.dueDate ?? data.task?.startDate;
+    return nextDate ? `Next occurrence on ${formatDayLabel(nextDate)}` : "";
+  }
+  if ((entry?.type === "attachment_added" || entry?.type === "attachment_deleted") && data.attachment) {
+    return `${data.attachment.type} · ${formatFileSize(data.attachment.size ?? 0)}`;
+  }
+  if (entry?.type === "project_deleted") {
+    const count = data.taskCount ?? 0;
+    return `${count} task${count === 1 ? "" : "s"} moved out of the project`;
+  }
+  if (entry?.type === "tag_removed_from_task") {
+    return `Before: ${(data.beforeTags ?? []).join(", ") || "none"} | After: ${(data.afterTags ?? []).join(", ") || "none"}`;
+  }
+  return "";
+}
+
+function LogbookView({
+  entries,
+  total,
+  hasMore,
+  filters,
+  onFiltersChange,
+  archives,
+  tasks,
+  tagOptions,
+  projects,
+  isLoading,
+  onRefresh,
+  onLoadMore,
+  onArchiveAll,
+  onRestore,
+}) {
+  const groups = useMemo(() => groupLogEntriesByDay(entries), [entries]);
+  const taskOptions = useMemo(
+    () => [...tasks].sort((a, b) => a.title.localeCompare(b.title)),
+    [tasks]
+  );
+  const [tagInput, setTagInput] = useState(filters.tag);
+  const sentinelRef = useRef(null);
+  const loadMoreRef = useRef(onLoadMore);
+  const filtered = hasLogFilters({ ...filters, archive: "" });
+
+  useEffect(() => {
+    if (tagInput === filters.tag) return undefined;
+    const timer = window.setTimeout(() => onFiltersChange({ ...filters, tag: tagInput }), 300);
+    return () => window.clearTimeout(timer);
+  }, [tagInput, filters, onFiltersChange]);
+
+  useEffect(() => {
+    loadMoreRef.current = onLoadMore;
+  });
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore) return undefined;
+    const observer = new IntersectionObserver((observed) => {
+      if (observed.some((item) => item.isIntersecting)) void loadMoreRef.current();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, entries.length]);
+
+  function updateFilter(key, value) {
+    onFiltersChange({ ...filters, [key]: value });
+  }
+
+  return (
+    <section className="list">
+      <header className="listHeader">
+        <h1>Logbook</h1>
+        <div className="listHeaderMetaRow">
+          <div className="subtleMeta">
+            {total} {filtered ? "matching " : ""}event{total === 1 ? "" : "s"}
+          </div>
+          <div className="logbookHeaderActions">
+            <button type="button" className="secondaryButton" onClick={() => void onRefresh()} disabled={isLoading}>
+              Refresh
+            </button>
+            {!filters.archive && (
+              <button
+                type="button"
+                className="secondaryButton"
+                onClick={() => void onArchiveAll()}
+                disabled={isLoading || entries.length === 0}
+              >
+                Archive All
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="logbookFilters">
+          <select
+            className="fieldInput"
+            value={filters.archive}
+            onChange={(event) => updateFilter("archive", event.target.value)}
+            aria-label="Log source"
+          >
+            <option value="">Current log</option>
+            {archives.map((archive) => (
+              <option key={archive.month} value={archive.month}>
+                Archive: {formatArchiveMonth(archive.month)}
+              </option>
+            ))}
+          </select>
+          <select
+            className="fieldInput"
+            value={filters.type}
+            onChange={(event) => updateFilter("type", event.target.value)}
+            aria-label="Event type"
+          >
+            <option value="">All events</option>
+            {LOG_EVENT_TYPES.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            className="fieldInput"
+            value={filters.taskId}
+            onChange={(event) => updateFilter("taskId", event.target.value)}
+            aria-label="Task"
+          >
+            <option value="">All tasks</option>
+            {taskOptions.map((task) => (
+              <option key={task.id} value={task.id}>{task.title}</option>
+            ))}
+          </select>
+          <input
+            className="fieldInput"
+            list="logbook-tag-options"
+            value={tagInput}
+            onChange={(event) => setTagInput(event.target.value)}
+            placeholder="Any tag"
+            aria-label="Tag"
+          />
+          <datalist id="logbook-tag-options">
+            {tagOptions.map((tag) => (
+              <option key={tag} value={tag} />
+            ))}
+          </datalist>
+          <input
+            type="date"
+            className="fieldInput"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => updateFilter("from", event.target.value)}
+            aria-label="From date"
+          />
+          <input
+            type="date"
+            className="fieldInput"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => updateFilter("to", event.target.value)}
+            aria-label="To date"
+          />
+          <button
+            type="button"
+            className="secondaryButton"
+            onClick={() => {
+              setTagInput("");
+              onFiltersChange({ ...EMPTY_LOG_FILTERS, archive: filters.archive });
+            }}
+            disabled={!filtered && !tagInput}
+          >
+            Reset
+          </button>
+        </div>
+      </header>
+
+      <div className="card">
+        {isLoading && entries.length === 0 && <div className="statusBanner">Loading logbook…</div>}
+        {!isLoading && entries.length === 0 && (
+          <div className="emptyLogbook">{filtered ? "No log entries match these filters." : "No log entries yet."}</div>
+        )}
+        {groups.map((group) => (
+          <div key={group.dateKey} className="logDayGroup">
+            <div className="logDayHeader">{formatLogDay(group.dateKey)}</div>
+            {group.entries.map((entry) => {
+              const meta = renderLogEntryMeta(entry, projects);
+              return (
+                <div key={entry.id} className="logEntry">
+                  <div className="logEntryTitle">{summarizeLogEntry(entry)}</div>
+                  <div className="logEntryTime">{formatLogTime(entry.createdAt)}</div>
+                  {meta && <div className="logEntryMeta">{meta}</div>}
+                  {!filters.archive && RESTORABLE_LOG_TYPES.includes(entry.type) && (
+                    <div className="logEntryActions">
+                      <button
+                        type="button"
+                        className="secondaryButton"
+                        onClick={() => void onRestore(entry)}
+                        disabled={isLoading || entry.restored}
+                      >
+                        {entry.restored ? "Restored" : "Restore"}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+        {hasMore && (
+          <div ref={sentinelRef} className="logbookMore">
+            <button type="button" className="secondaryButton" onClick={() => void onLoadMore()} disabled={isLoading}>
+              {isLoading ? "Loading…" : "Load older entries"}
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function ChecklistEditor({ items, onChange }) {
+  const [newItemText, setNewItemText] = useState("");
+
+  function addItem() {
+    const text = newItemText.trim();
+    if (!text) return;
+    onChange([...items, { text, done: false }]);
+    setNewItemText("");
+  }
+
+  function updateItem(index, updates) {
+    onChange(items.map((item, itemIndex) => (itemIndex === index ? { ...item, ...updates } : item)));
+  }
+
+  function moveItem(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const next = items.slice();
+    const [moved] = next.splice(index, 1);
+    next.splice(target, 0, moved);
+    onChange(next);
+  }
+
+  function removeItem(index) {
+    onChange(items.filter((_item, itemIndex) => itemIndex !== index));
+  }
+
+  return (
+    <div className="checklistEditor">
+      {items.map((item, index) => (
+        <div key={index} className="checklistItem">
+          <button
+            type="button"
+            className="checkboxButton"
+            onClick={() => updateItem(index, { done: !item.done })}
+            role="checkbox"
+            aria-checked={item.done}
+            aria-label={`${item.done ? "Uncheck" : "Check"}: ${item.text}`}
+          >
+            <span className={`checkbox ${item.done ? "checked" : ""}`} aria-hidden="true" />
+          </button>
+          <input
+            className={`checklistItemInput ${item.done ? "done" : ""}`}
+            value={item.text}
+            onChange={(event) => updateItem(index, { text: event.target.value })}
+            aria-label={`Checklist item ${index + 1}`}
+          />
+          <button
+            type="button"
+            className="checklistItemAction"
+            onClick={() => moveItem(index, -1)}
+            disabled={index === 0}
+            aria-label={`Move ${item.text} up`}
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            className="checklistItemAction"
+            onClick={() => moveItem(index, 1)}
+            disabled={index === items.length - 1}
+            aria-label={`Move ${item.text} down`}
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            className="checklistItemAction"
+            onClick={() => removeItem(index)}
+            aria-label={`Delete ${item.text}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <div className="tagEditorRow">
+        <input
+          id="task-checklist"
+          className="fieldInput"
+          value={newItemText}
+          onChange={(event) => setNewItemText(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Enter") {
+              event.preventDefault();
+              addItem();
+            }
+          }}
+          placeholder="Add a step and press Enter"
+        />
+        <button type="button" className="secondaryButton" onClick={addItem}>
+          Add Step
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function RecurrenceEditor({ value, onChange }) {
+  const type = value?.type ?? "";
+  const count = value?.type === "after_completion" ? value.days : value?.interval ?? 1;
+
+  function changeType(nextType) {
+    if (!nextType) {
+      onChange(null);
+    } else if (nextType === "weekly") {
+      onChange({ type: nextType, weekdays: [new Date().getDay()] });
+    } else if (nextType === "after_completion") {
+      onChange({ type: nextType, days: 7 });
+    } else {
+      onChange({ type: nextType, interval: 1 });
+    }
+  }
+
+  function changeCount(rawValue) {
+    const nextCount = Math.max(1, Math.floor(Number(rawValue)) || 1);
+    onChange(type === "after_completion" ? { type, days: nextCount } : { type, interval: nextCount });
+  }
+
+  function toggleWeekday(day) {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter((weekday) => weekday !== day)
+      : [...value.weekdays, day].sort((a, b) => a - b);
+    if (weekdays.length === 0) return;
+    onChange({ type, weekdays });
+  }
+
+  return (
+    <div className="recurrenceEditor">
+      <div className="tagEditorRow">
+        <select
+          id="task-recurrence"
+          className="fieldInput"
+          value={type}
+          onChange={(event) => changeType(event.target.value)}
+        >
+          {RECURRENCE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {type && type !== "weekly" && (
+          <label className="recurrenceCount">
+            Every
+            <input
+              type="number"
+              min="1"
+              className="fieldInput"
+              value={count}
+              onChange={(event) => changeCount(event.target.value)}
+              aria-label="Repeat interval"
+            />
+            {type === "monthly" ? "month(s)" : "day(s)"}
+          </label>
+        )}
+      </div>
+
+      {type === "weekly" && (
+        <div className="tagPickerList" role="group" aria-label="Repeat on">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`tagPickerButton ${value.weekdays.includes(day) ? "selected" : ""}`}
+              onClick={() => toggleWeekday(day)}
+              aria-pressed={value.weekdays.includes(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FilterEditorModal({ filter, tagOptions, onClose, onSave, onDeleteFilter }) {
+  const [name, setName] = useState(filter.name ?? "");
+  const [tagMode, setTagMode] = useState(filter.tagMode ?? "any");
+  const [tags, setTags] = useState(filter.tags ?? []);
+  const [excludeTags, setExcludeTags] = useState(filter.excludeTags ?? []);
+  const [done, setDone] = useState(filter.done ?? "open");
+  const [due, setDue] = useState(filter.due ?? "any");
+  const [dueFrom, setDueFrom] = useState(filter.dueFrom ?? "");
+  const [dueTo, setDueTo] = useState(filter.dueTo ?? "");
+  const [text, setText] = useState(filter.text ?? "");
+  const nameInputRef = useRef(null);
+  const tagChoices = useMemo(() => {
+    const choices = [...tagOptions];
+    for (const tag of [...tags, ...excludeTags]) {
+      if (!choices.some((value) => value.toLowerCase() === tag.toLowerCase())) choices.push(tag);
+    }
+    return choices;
+  }, [tagOptions, tags, excludeTags]);
+
+  useEffect(() => {
+    nameInputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    function onKeyDown(event) {
+      if (event.key === "Escape") onClose();
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  function tagState(tag) {
+    if (tags.some((value) => value.toLowerCase() === tag.toLowerCase())) return "include";
+    if (excludeTags.some((value) => value.toLowerCase() === tag.toLowerCase())) return "exclude";
+    return "none";
+  }
+
+  function cycleTag(tag) {
+    const state = tagState(tag);
+    const without = (list) => list.filter((value) => value.toLowerCase() !== tag.toLowerCase());
+    if (state === "none") {
+      setTags((prev) => [...prev, tag]);
+    } else if (state === "include") {
+      setTags(without);
+      setExcludeTags((prev) => [...prev, tag]);
+    } else {
+      setExcludeTags(without);
+    }
+  }
+
+  async function submit(event) {
+    event.preventDefault();
+    const trimmedName = name.trim();
+    if (!trimmedName) return;
+
+    await onSave(filter.id ?? null, {
+      name: trimmedName,
+      tagMode,
+      tags,
+      excludeTags,
+      done,
+      due,
+      dueFrom: due === "range" ? dueFrom || null : null,
+      dueTo: due === "range" ? dueTo || null : null,
+      text: text.trim(),
+    });
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onClose} role="presentation">
+      <div
+        className="modalCard"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="edit-filter-title"
+      >
+        <div className="modalHeader">
+          <h2 id="edit-filter-title">{filter.id ? "Edit Filter" : "New Filter"}</h2>
+          <button type="button" className="iconButton" onClick={onClose} aria-label="Close filter editor">
+            ×
+          </button>
+        </div>
+
+        <form className="editTaskForm" onSubmit={submit}>
+          <label className="fieldLabel" htmlFor="filter-name">Name</label>
+          <input
+            ref={nameInputRef}
+            id="filter-name"
+            className="fieldInput"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="e.g. Work this week"
+          />
+
+          <div className="fieldLabel">Tags</div>
+          <div className="subtleMeta">Click a tag once to include it, twice to exclude it.</div>
+          <div className="tagPickerList" role="group" aria-label="Filter tags">
+            {tagChoices.map((tag) => {
+              const state = tagState(tag);
+              return (
+                <button
+                  key={tag}
+                  type="button"
+                  className={`tagPickerButton ${state === "include" ? "selected" : ""} ${state === "exclude" ? "excluded" : ""}`}
+                  onClick={() => cycleTag(tag)}
+                >
+                  {state === "exclude" ? `not ${tag}` : tag}
+                </button>
+              );
+            })}
+          </div>
+          <select
+            id="filter-tag-mode"
+            className="fieldInput"
+            value={tagMode}
+            onChange={(event) => setTagMode(event.target.value)}
+            aria-label="Tag matching"
+          >
+            <option value="any">Match any included tag (OR)</option>
+            <option value="all">Match all included tags (AND)</option>
+          </select>
+
+          <label className="fieldLabel" htmlFor="filter-done">Status</label>
+          <select id="filter-done" className="fieldInput" value={done} onChange={(event) => setDone(event.target.value)}>
+            {FILTER_DONE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+
+          <label className="fieldLabel" htmlFor="filter-due">Due date</label>
+          <select id="filter-due" className="fieldInput" value={due} onChange={(event) => setDue(event.target.value)}>
+            {FILTER_DUE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {due === "range" && (
+            <div className="dateFieldRow">
+              <input
+                type="date"
+                className="fieldInput"
+                value={dueFrom}
+                onChange={(event) => setDueFrom(event.target.value)}
+                aria-label="Due from"
+              />
+              <input
+                type="date"
+                className="fieldInput"
+                value={dueTo}
+                onChange={(event) => setDueTo(event.target.value)}
+                aria-label="Due to"
+              />
+            </div>
+          )}
+
+          <label className="fieldLabel" htmlFor="filter-text">Text</label>
+          <input
+            id="filter-text"
+            className="fieldInput"
+            value={text}
+            onChange={(event) => setText(event.target.value)}
+            placeholder="Match title, description or checklist"
+          />
+
+          <div className="modalActions">
+            <button type="submit" className="primaryButton">Save</button>
+            {filter.id && (
+              <button type="button" className="dangerButton" onClick={() => void onDeleteFilter(filter.id)}>
+                Delete Filter
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function EditProjectModal({ project, taskCount, onClose, onSave, onDeleteProject }) {
+  const [title, setTitle] = useState(project.title);
+  const [notes, setNotes] = useState(project.notes ?? "");
+  const titleInputRef = useRef(null);
+
+  useEffect(() => {
+    titleInputRef.current?.focus();
+    titleInputRef.current?.select();
+  }, []);
+
+  useEffect(() => {
+    function onKeyDown(event) {
+      if (event.key === "Escape") onClose();
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  async function submit(event) {
+    event.preventDefault();
+    const trimmedTitle = title.trim();
+    if (!trimmedTitle) return;
+
+    await onSave(project.id, { title: trimmedTitle, notes: notes.trim() });
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onClose} role="presentation">
+      <div
+        className="modalCard"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="edit-project-title"
+      >
+        <div className="modalHeader">
+          <h2 id="edit-project-title">Edit Project</h2>
+          <button type="button" className="iconButton" onClick={onClose} aria-label="Close edit project">
+            ×
+          </button>
+        </div>
+
+        <form className="editTaskForm" onSubmit={submit}>
+          <label className="fieldLabel" htmlFor="project-title">Title</label>
+          <input
+            ref={titleInputRef}
+            id="project-title"
+            className="fieldInput"
+            value={title}
+            onChange={(event) => setTitle(event.target.value)}
+            placeholder="Project title"
+          />
+
+          <label className="fieldLabel" htmlFor="project-notes">Notes</label>
+          <textarea
+            id="project-notes"
+            className="fieldTextarea"
+            value={notes}
+            onChange={(event) => setNotes(event.target.value)}
+            placeholder="What is this project about?"
+            rows={5}
+          />
+
+          <div className="subtleMeta">
+            {taskCount === 0
+              ? "This project has no tasks."
+              : `Deleting this project keeps its ${taskCount} task${taskCount === 1 ? "" : "s"} and moves them out of the project.`}
+          </div>
+
+          <div className="modalActions">
+            <button type="submit" className="primaryButton">Save</button>
+            <button type="button" className="dangerButton" onClick={() => void onDeleteProject(project.id)}>
+              Delete Project
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function ConflictResolver({ base, ours, theirs, projects, onKeepMine, onKeepTheirs, onMerge }) {
+  const differences = useMemo(
+    () =>
+      EDITABLE_TASK_FIELDS.filter(
+        ({ key }) => !sameFieldValue(taskFieldValue(ours, key), taskFieldValue(theirs, key))
+      ).map(({ key, label }) => ({
+        key,
+        label,
+        changedByMe: !sameFieldValue(taskFieldValue(ours, key), taskFieldValue(base, key)),
+        changedByThem: !sameFieldValue(taskFieldValue(theirs, key), taskFieldValue(base, key)),
+      })),
+    [base, ours, theirs]
+  );
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(differences.map((field) => [field.key, field.changedByMe ? "ours" : "theirs"]))
+  );
+
+  function mergedPayload() {
+    const payload = {};
+    for (const { key } of EDITABLE_TASK_FIELDS) {
+      const source = choices[key] === "ours" ? ours : theirs;
+      payload[key] = taskFieldValue(source, key);
+    }
+    return payload;
+  }
+
+  return (
+    <div className="conflictResolver">
+      <div className="modalNotice" role="alert">
+        <span>
+          Someone else saved this task while you were editing it. Choose which version of each field to keep.
+        </span>
+      </div>
+
+      {differences.length === 0 && (
+        <div className="subtleMeta">Both versions are identical. Saving will keep them as they are.</div>
+      )}
+
+      {differences.map((field) => (
+        <fieldset key={field.key} className="conflictField">
+          <legend className="fieldLabel">
+            {field.label}
+            {field.changedByMe && field.changedByThem && <span className="conflictBadge">changed by both</span>}
+          </legend>
+          {["ours", "theirs"].map((side) => (
+            <label key={side} className={`conflictOption ${choices[field.key] === side ? "selected" : ""}`}>
+              <input
+                type="radio"
+                name={`conflict-${field.key}`}
+                checked={choices[field.key] === side}
+                onChange={() => setChoices((prev) => ({ ...prev, [field.key]: side }))}
+              />
+              <span className="conflictOptionLabel">{side === "ours" ? "Mine" : "Theirs"}</span>
+              <span className="conflictOptionValue">
+                {formatTaskFieldValue(field.key, taskFieldValue(side === "ours" ? ours : theirs, field.key), projects)}
+              </span>
+            </label>
+          ))}
+        </fieldset>
+      ))}
+
+      <div className="modalActions">
+        <button type="button" className="primaryButton" onClick={() => void onMerge(mergedPayload())}>
+          Save Merged
+        </button>
+        <div className="conflictActions">
+          <button type="button" className="secondaryButton" onClick={() => void onKeepMine()}>
+            Keep Mine
+          </button>
+          <button type="button" className="secondaryButton" onClick={onKeepTheirs}>
+            Keep Theirs
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TaskHistoryPanel({ task, projects, onLoadHistory, onRevertField }) {
+  const [history, setHistory] = useState(null);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    onLoadHistory(task.id)
+      .then((data) => {
+        if (!cancelled) setHistory(Array.isArray(data?.entries) ? data.entries : []);
+      })
+      .catch((error) => {
+        if (!cancelled) setLoadError(error.message || "Failed to load task history.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [task.id, onLoadHistory]);
+
+  const counts = useMemo(() => {
+    const byType = {};
+    for (const entry of history ?? []) byType[entry.type] = (byType[entry.type] ?? 0) + 1;
+    return byType;
+  }, [history]);
+
+  if (loadError) return <div className="modalNotice danger" role="alert">{loadError}</div>;
+  if (!history) return <div className="subtleMeta">Loading history…</div>;
+
+  return (
+    <div className="taskHistory">
+      <div className="subtleMeta">
+        {[
+          `Created ${formatLogDay(toDateKey(new Date(task.createdAt)))} at ${formatLogTime(task.createdAt)}`,
+          `${counts.task_updated ?? 0} edit${counts.task_updated === 1 ? "" : "s"}`,
+          `completed ${counts.task_completed ?? 0}×`,
+          `reopened ${counts.task_reopened ?? 0}×`,
+        ].join(" · ")}
+      </div>
+      {history.length === 0 && <div className="emptyLogbook">No logbook entries for this task yet.</div>}
+      <ol className="taskHistoryTimeline">
+        {history.map((entry) => {
+          const meta = entry.type === "task_updated" ? null : renderLogEntryMeta(entry, projects);
+          return (
+            <li key={entry.id} className="taskHistoryEntry">
+              <div className="logEntryTitle">{summarizeLogEntry(entry)}</div>
+              <div className="logEntryTime">
+                {formatLogDay(toDateKey(new Date(entry.createdAt)))} at {formatLogTime(entry.createdAt)}
+              </div>
+              {meta && <div className="logEntryMeta">{meta}</div>}
+              {entry.type === "task_updated" && (
+                <ul className="logDiff logEntryMeta">
+                  {EDITABLE_TASK_FIELDS.filter(({ key }) => entry.data?.changes?.[key]).map(({ key, label }) => {
+                    const change = entry.data.changes[key];
+                    return (
+                      <li key={key} className="logDiffRow revertable">
+                        <span className="logDiffField">{label}</span>
+                        <span className="logDiffBefore">
+                          {formatTaskFieldValue(key, taskFieldValue({ [key]: change.before }, key), projects)}
+                        </span>
+                        <span className="logDiffArrow">→</span>
+                        <span className="logDiffAfter">
+                          {formatTaskFieldValue(key, taskFieldValue({ [key]: change.after }, key), projects)}
+                        </span>
+                        <button
+                          type="button"
+                          className="secondaryButton"
+                          onClick={() => onRevertField(key, change.before)}
+                          title={`Put the earlier ${label.toLowerCase()} back into the form`}
+                        >
+                          Revert
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+function EditTaskModal({
+  task,
+  onClose,
+  onSave,
+  onDeleteTask,
+  projects,
+  externalChange,
+  onReloadLatest,
+  onLoadHistory,
+  onUploadAttachments,
+  onDeleteAttachment,
+  tagOptions,
+  tagMeta,
+}) {
+  const [title, setTitle] = useState(task.title);
+  const [description, setDescription] = useState(task.description ?? "");
+  const [tags, setTags] = useState(normalizeTaskTags(task));
+  const [checklist, setChecklist] = useState(task.checklist ?? []);
+  const [recurrence, setRecurrence] = useState(task.recurrence ?? null);
+  const [when, setWhen] = useState(task.when ?? "inbox");
+  const [projectId, setProjectId] = useState(task.projectId ?? "");
+  const [startDate, setStartDate] = useState(task.startDate ?? "");
+  const [dueDate, setDueDate] = useState(task.dueDate ?? "");
+  const [dueTime, setDueTime] = useState(task.dueTime ?? "");
+  const [priority, setPriority] = useState(task.priority ?? 0);
+  const [descriptionMode, setDescriptionMode] = useState("write");
+  const [newTagInput, setNewTagInput] = useState("");
+  const [baseTask] = useState(task);
+  const [baseEtag, setBaseEtag] = useState(task.etag);
+  const [attachmentDragActive, setAttachmentDragActive] = useState(false);
+  const [uploadingAttachments, setUploadingAttachments] = useState(false);
+  const [attachmentError, setAttachmentError] = useState("");
+  const [conflict, setConflict] = useState(null);
+  const [tab, setTab] = useState("details");
+  const [revertedFields, setRevertedFields] = useState([]);
+  const titleInputRef = useRef(null);
+  const attachmentInputRef = useRef(null);
+  const attachments = task.attachments ?? [];
+
+  useEffect(() => {
+    titleInputRef.current?.focus();
+    titleInputRef.current?.select();
+  }, []);
 
   useEffect(() => {
     function onKeyDown(event) {
@@ -237,124 +2109,487 @@ function EditTaskModal({ task, onClose, onSave, onDeleteTask, tagOptions: _tagOp
     return () => window.removeEventListener("keydown", onKeyDown);
   }, [onClose]);
 
-  function addTag(rawValue) {
-    const nextTag = String(rawValue ?? "").trim();
-    if (!nextTag) return;
+  const tagSuggestions = useMemo(() => {
+    const query = newTagInput.trim().toLowerCase();
+    if (!query) return [];
+    const used = new Set(tags.map((tag) => tag.toLowerCase()));
+    return tagOptions
+      .filter((tag) => !used.has(tag.toLowerCase()) && tag.toLowerCase().includes(query))
+      .sort((a, b) => Number(!a.toLowerCase().startsWith(query)) - Number(!b.toLowerCase().startsWith(query)))
+      .slice(0, 8);
+  }, [newTagInput, tags, tagOptions]);
+
+  function addTag(rawValue) {
+    const typedTag = String(rawValue ?? "").trim();
+    if (!typedTag) return;
+    const nextTag = tagOptions.find((tag) => tag.toLowerCase() === typedTag.toLowerCase()) ?? typedTag;
+
+    setTags((prev) => {
+      const exists = prev.some((tag) => tag.toLowerCase() === nextTag.toLowerCase());
+      if (exists) return prev;
+      return [...prev, nextTag];
+    });
+    setNewTagInput("");
+  }
+
+  function removeTag(tagToRemove) {
+    setTags((prev) => {
+      const next = prev.filter((tag) => tag.toLowerCase() !== tagToRemove.toLowerCase());
+      return next.length > 0 ? next : [DEFAULT_TAG];
+    });
+  }
+
+  function revertField(key, value) {
+    const setters = {
+      title: (next) => setTitle(next ?? ""),
+      description: (next) => setDescription(next ?? ""),
+      checklist: (next) => setChecklist(next ?? []),
+      tags: (next) => setTags(normalizeTaskTags({ tags: next })),
+      when: (next) => setWhen(next ?? "inbox"),
+      projectId: (next) => setProjectId(projects.some((project) => project.id === next) ? next : ""),
+      startDate: (next) => setStartDate(next ?? ""),
+      dueDate: (next) => setDueDate(next ?? ""),
+      dueTime: (next) => setDueTime(next ?? ""),
+      priority: (next) => setPriority(next ?? 0),
+      recurrence: (next) => setRecurrence(next ?? null),
+    };
+    setters[key]?.(value);
+    const label = EDITABLE_TASK_FIELDS.find((field) => field.key === key)?.label ?? key;
+    setRevertedFields((prev) => (prev.includes(label) ? prev : [...prev, label]));
+    setTab("details");
+  }
+
+  async function addAttachments(fileList) {
+    const files = Array.from(fileList ?? []);
+    const rejected = files.filter((file) => !ATTACHMENT_TYPES.includes(file.type) || file.size > ATTACHMENT_MAX_BYTES);
+    const accepted = files.filter((file) => !rejected.includes(file));
+    setAttachmentError(
+      rejected.length > 0
+        ? `Skipped ${rejected.map((file) => file.name).join(", ")}: only images, PDFs, text and office files up to ${formatFileSize(
+            ATTACHMENT_MAX_BYTES
+          )} can be attached.`
+        : ""
+    );
+    if (accepted.length === 0) return;
+
+    setUploadingAttachments(true);
+    const latest = await onUploadAttachments(task.id, accepted);
+    setUploadingAttachments(false);
+    if (latest) setBaseEtag(latest.etag);
+  }
+
+  async function removeAttachment(attachmentId) {
+    const latest = await onDeleteAttachment(task.id, attachmentId);
+    if (latest) setBaseEtag(latest.etag);
+  }
+
+  function handleAttachmentDragOver(event) {
+    if (!event.dataTransfer.types.includes("Files")) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    setAttachmentDragActive(true);
+  }
+
+  function handleAttachmentDrop(event) {
+    if (!event.dataTransfer.types.includes("Files")) return;
+    event.preventDefault();
+    setAttachmentDragActive(false);
+    void addAttachments(event.dataTransfer.files);
+  }
+
+  async function saveWithEtag(updates, etag) {
+    try {
+      await onSave(task.id, updates, { ifMatch: etag });
+    } catch (error) {
+      if (error.status === 409 && error.data?.task) {
+        setConflict({ ours: updates, theirs: error.data.task });
+      }
+    }
+  }
+
+  async function submit(event) {
+    event.preventDefault();
+    const trimmedTitle = title.trim();
+    if (!trimmedTitle) return;
+
+    await saveWithEtag(
+      {
+        title: trimmedTitle,
+        description: description.trim(),
+        tags: normalizeTaskTags({ tags }),
+        checklist: checklist
+          .map((item) => ({ text: item.text.trim(), done: item.done }))
+          .filter((item) => item.text),
+        when,
+        projectId: projectId || null,
+        recurrence,
+        startDate: startDate || null,
+        dueDate: dueDate || null,
+        dueTime: dueDate ? dueTime || null : null,
+        priority,
+      },
+      baseEtag
+    );
+  }
+
+  return (
+    <div className="modalBackdrop" onClick={onClose} role="presentation">
+      <div
+        className="modalCard"
+        onClick={(event) => event.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="edit-task-title"
+      >
+        <div className="modalHeader">
+          <h2 id="edit-task-title">Edit Task</h2>
+          <button type="button" className="iconButton" onClick={onClose} aria-label="Close edit task">
+            ×
+          </button>
+        </div>
+
+        {!conflict && (
+          <div className="modalTabs" role="tablist">
+            {[
+              { value: "details", label: "Details" },
+              { value: "history", label: "History" },
+            ].map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                role="tab"
+                aria-selected={tab === option.value}
+                className={`modalTab ${tab === option.value ? "active" : ""}`}
+                onClick={() => setTab(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {conflict ? (
+          <div className="editTaskForm">
+            <ConflictResolver
+              base={baseTask}
+              ours={conflict.ours}
+              theirs={conflict.theirs}
+              projects={projects}
+              onKeepMine={() => saveWithEtag(conflict.ours, conflict.theirs.etag)}
+              onKeepTheirs={onClose}
+              onMerge={(payload) => saveWithEtag(payload, conflict.theirs.etag)}
+            />
+          </div>
+        ) : tab === "history" ? (
+          <div className="editTaskForm">
+            <TaskHistoryPanel
+              task={task}
+              projects={projects}
+              onLoadHistory={onLoadHistory}
+              onRevertField={revertField}
+            />
+          </div>
+        ) : (
+          <form className="editTaskForm" onSubmit={submit}>
+            {revertedFields.length > 0 && (
+              <div className="modalNotice" role="status">
+                <span>Reverted {revertedFields.join(", ")} to an earlier value. Save to keep the change.</span>
+              </div>
+            )}
+            {externalChange?.kind === "updated" && (
+              <div className="modalNotice" role="alert">
+                <span>This task was changed elsewhere (another tab, device or editor) while you were editing it.</span>
+                <button type="button" className="secondaryButton" onClick={onReloadLatest}>
+                  Load latest
+                </button>
+              </div>
+            )}
+            {externalChange?.kind === "deleted" && (
+              <div className="modalNotice danger" role="alert">
+                <span>This task was deleted elsewhere. Your edits can no longer be saved.</span>
+              </div>
+            )}
+
+            <label className="fieldLabel" htmlFor="task-title">Title</label>
+            <input
+              ref={titleInputRef}
+              id="task-title"
+              className="fieldInput"
+              value={title}
+              onChange={(event) => setTitle(event.target.value)}
+              placeholder="Task title"
+            />
+
+            <div className="descriptionHeader">
+              <label className="fieldLabel" htmlFor="task-description">Description</label>
+              <div className="segmentedControl" role="group" aria-label="Description mode">
+                <button
+                  type="button"
+                  className={descriptionMode === "write" ? "active" : ""}
+                  onClick={() => setDescriptionMode("write")}
+                  aria-pressed={descriptionMode === "write"}
+                >
+                  Write
+                </button>
+                <button
+                  type="button"
+                  className={descriptionMode === "preview" ? "active" : ""}
+                  onClick={() => setDescriptionMode("preview")}
+                  aria-pressed={descriptionMode === "preview"}
+                >
+                  Preview
+                </button>
+              </div>
+            </div>
+            {descriptionMode === "write" ? (
+              <textarea
+                id="task-description"
+                className="fieldTextarea"
+                value={description}
+                onChange={(event) => setDescription(event.target.value)}
+                placeholder="Add details for this task (markdown supported)"
+                rows={5}
+              />
+            ) : description.trim() ? (
+              <MarkdownView text={description} className="descriptionPreview" />
+            ) : (
+              <div className="descriptionPreview subtleMeta">Nothing to preview.</div>
+            )}
+
+            <label className="fieldLabel" htmlFor="task-checklist">Checklist</label>
+            <ChecklistEditor items={checklist} onChange={setChecklist} />
 
-    setTags((prev) => {
-      const exists = prev.some((tag) => tag.toLowerCase() === nextTag.toLowerCase());
-      if (exists) return prev;
-      return [...prev, nextTag];
-    });
-    setNewTagInput("");
-  }
+            <label className="fieldLabel" htmlFor="task-when">When</label>
+            <select
+              id="task-when"
+              className="fieldInput"
+              value={when}
+              onChange={(event) => setWhen(event.target.value)}
+            >
+              {TASK_BUCKETS.map((bucket) => (
+                <option key={bucket.value} value={bucket.value}>{bucket.label}</option>
+              ))}
+            </select>
 
-  function removeTag(tagToRemove) {
-    setTags((prev) => {
-      const next = prev.filter((tag) => tag.toLowerCase() !== tagToRemove.toLowerCase());
-      return next.length > 0 ? next : [DEFAULT_TAG];
-    });
-  }
+            <label className="fieldLabel" htmlFor="task-priority">Priority</label>
+            <select
+              id="task-priority"
+              className="fieldInput"
+              value={priority}
+              onChange={(event) => setPriority(Number(event.target.value))}
+            >
+              {PRIORITY_LEVELS.map((level) => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </select>
 
-  async function submit(event) {
-    event.preventDefault();
-    const trimmedTitle = title.trim();
-    if (!trimmedTitle) return;
+            <label className="fieldLabel" htmlFor="task-project">Project</label>
+            <select
+              id="task-project"
+              className="fieldInput"
+              value={projectId}
+              onChange={(event) => setProjectId(event.target.value)}
+            >
+              <option value="">No project</option>
+              {projects.map((project) => (
+                <option key={project.id} value={project.id}>{project.title}</option>
+              ))}
+            </select>
 
-    await onSave(task.id, {
-      title: trimmedTitle,
-      description: description.trim(),
-      tags: normalizeTaskTags({ tags }),
-    });
-  }
+            <div className="dateFieldRow">
+              <div className="dateField">
+                <label className="fieldLabel" htmlFor="task-start-date">Start date</label>
+                <input
+                  id="task-start-date"
+                  type="date"
+                  className="fieldInput"
+                  value={startDate}
+                  onChange={(event) => {
+                    setStartDate(event.target.value);
+                    if (event.target.value && when === "inbox") setWhen("scheduled");
+                  }}
+                />
+              </div>
+              <div className="dateField">
+                <label className="fieldLabel" htmlFor="task-due-date">Due date</label>
+                <input
+                  id="task-due-date"
+                  type="date"
+                  className="fieldInput"
+                  value={dueDate}
+                  onChange={(event) => setDueDate(event.target.value)}
+                />
+              </div>
+              <div className="dateField">
+                <label className="fieldLabel" htmlFor="task-due-time">Due time</label>
+                <input
+                  id="task-due-time"
+                  type="time"
+                  className="fieldInput"
+                  value={dueTime}
+                  onChange={(event) => setDueTime(event.target.value)}
+                  disabled={!dueDate}
+                />
+              </div>
+            </div>
 
-  return (
-    <div className="modalBackdrop" onClick={onClose} role="presentation">
-      <div
-        className="modalCard"
-        onClick={(event) => event.stopPropagation()}
-        role="dialog"
-        aria-modal="true"
-        aria-labelledby="edit-task-title"
-      >
-        <div className="modalHeader">
-          <h2 id="edit-task-title">Edit Task</h2>
-          <button type="button" className="iconButton" onClick={onClose} aria-label="Close edit task">
-            ×
-          </button>
-        </div>
+            <label className="fieldLabel" htmlFor="task-recurrence">Repeat</label>
+            <RecurrenceEditor value={recurrence} onChange={setRecurrence} />
 
-        <form className="editTaskForm" onSubmit={submit}>
-          <label className="fieldLabel" htmlFor="task-title">Title</label>
-          <input
-            ref={titleInputRef}
-            id="task-title"
-            className="fieldInput"
-            value={title}
-            onChange={(event) => setTitle(event.target.value)}
-            placeholder="Task title"
-          />
+            <div className="fieldLabel">Tags</div>
+            <div className="tagEditor">
+              <div className="tagChipList" aria-label="Selected tags">
+                {tags.map((tag) => (
+                  <span key={tag} className="tagChip" style={tagStyle(tagMeta.get(tag.toLowerCase()))}>
+                    <TagLabel tag={tag} tagMeta={tagMeta} />
+                    <button
+                      type="button"
+                      className="tagChipRemove"
+                      onClick={() => removeTag(tag)}
+                      aria-label={`Remove tag ${tag}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
 
-          <label className="fieldLabel" htmlFor="task-description">Description</label>
-          <textarea
-            id="task-description"
-            className="fieldTextarea"
-            value={description}
-            onChange={(event) => setDescription(event.target.value)}
-            placeholder="Add details for this task"
-            rows={5}
-          />
+              <div className="tagEditorRow">
+                <input
+                  id="task-tag"
+                  className="fieldInput"
+                  value={newTagInput}
+                  onChange={(event) => setNewTagInput(event.target.value)}
+                  onKeyDown={(event) => {
+                    if (event.key === "Enter") {
+                      event.preventDefault();
+                      addTag(newTagInput);
+                    }
+                  }}
+                  placeholder="Add a tag and press Enter"
+                />
+                <button
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => addTag(newTagInput)}
+                >
+                  Add Tag
+                </button>
+              </div>
+              {tagSuggestions.length > 0 && (
+                <div className="tagPickerList" aria-label="Tag suggestions">
+                  {tagSuggestions.map((tag) => (
+                    <button key={tag} type="button" className="tagPickerButton" onClick={() => addTag(tag)}>
+                      <TagLabel tag={tag} tagMeta={tagMeta} showColor />
+                    </button>
+                  ))}
+                </div>
+              )}
 
-          <div className="fieldLabel">Tags</div>
-          <div className="tagEditor">
-            <div className="tagChipList" aria-label="Selected tags">
-              {tags.map((tag) => (
-                <span key={tag} className="tagChip">
-                  {tag}
-                  <button
-                    type="button"
-                    className="tagChipRemove"
-                    onClick={() => removeTag(tag)}
-                    aria-label={`Remove tag ${tag}`}
-                  >
-                    ×
-                  </button>
-                </span>
-              ))}
             </div>
 
-            <div className="tagEditorRow">
+            <div className="fieldLabel">Attachments</div>
+            <div
+              className={`attachmentDropzone ${attachmentDragActive ? "active" : ""}`}
+              onDragOver={handleAttachmentDragOver}
+              onDragLeave={() => setAttachmentDragActive(false)}
+              onDrop={handleAttachmentDrop}
+            >
+              {attachments.length > 0 && (
+                <ul className="attachmentList">
+                  {attachments.map((attachment) => (
+                    <li key={attachment.id} className="attachmentItem">
+                      <a
+                        className="attachmentThumbnail"
+                        href={attachmentUrl(task.id, attachment.id)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title={`Open ${attachment.name}`}
+                      >
+                        {isImageAttachment(attachment.type) ? (
+                          <img src={attachmentUrl(task.id, attachment.id)} alt={attachment.name} loading="lazy" />
+                        ) : (
+                          <span className="attachmentExtension">
+                            {(attachment.name.includes(".") ? attachment.name.split(".").pop() : "file")
+                              .slice(0, 4)
+                              .toUpperCase()}
+                          </span>
+                        )}
+                      </a>
+                      <span className="attachmentInfo">
+                        <a
+                          className="attachmentName"
+                          href={attachmentUrl(task.id, attachment.id, { download: true })}
+                          download={attachment.name}
+                        >
+                          {attachment.name}
+                        </a>
+                        <span className="subtleMeta">{formatFileSize(attachment.size)}</span>
+                      </span>
+                      <button
+                        type="button"
+                        className="iconButton"
+                        onClick={() => void removeAttachment(attachment.id)}
+                        disabled={externalChange?.kind === "deleted"}
+                        aria-label={`Remove attachment ${attachment.name}`}
+                      >
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="attachmentHint">
+                {uploadingAttachments ? (
+                  "Uploading…"
+                ) : (
+                  <>
+                    Drop files here or{" "}
+                    <button
+                      type="button"
+                      className="linkButton"
+                      onClick={() => attachmentInputRef.current?.click()}
+                      disabled={externalChange?.kind === "deleted"}
+                    >
+                      browse
+                    </button>{" "}
+                    · up to {formatFileSize(ATTACHMENT_MAX_BYTES)} each
+                  </>
+                )}
+              </div>
               <input
-                id="task-tag"
-                className="fieldInput"
-                value={newTagInput}
-                onChange={(event) => setNewTagInput(event.target.value)}
-                onKeyDown={(event) => {
-                  if (event.key === "Enter") {
-                    event.preventDefault();
-                    addTag(newTagInput);
-                  }
+                ref={attachmentInputRef}
+                type="file"
+                multiple
+                hidden
+                accept={ATTACHMENT_TYPES.join(",")}
+                onChange={(event) => {
+                  void addAttachments(event.target.files);
+                  event.target.value = "";
                 }}
-                placeholder="Add a tag and press Enter"
               />
+              {attachmentError && (
+                <div className="attachmentError" role="alert">
+                  {attachmentError}
+                </div>
+              )}
+            </div>
+
+            <div className="modalActions">
+              <button type="submit" className="primaryButton" disabled={externalChange?.kind === "deleted"}>
+                Save
+              </button>
               <button
                 type="button"
-                className="secondaryButton"
-                onClick={() => addTag(newTagInput)}
+                className="dangerButton"
+                onClick={() => void onDeleteTask(task.id, { ifMatch: baseEtag })}
+                disabled={externalChange?.kind === "deleted"}
               >
-                Add Tag
+                Delete Task
               </button>
             </div>
-
-          </div>
-
-          <div className="modalActions">
-            <button type="submit" className="primaryButton">Save</button>
-            <button type="button" className="dangerButton" onClick={() => void onDeleteTask(task.id)}>
-              Delete Task
-            </button>
-          </div>
-        </form>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -362,6 +2597,7 @@ function EditTaskModal({ task, onClose, onSave, onDeleteTask, tagOptions: _tagOp
 
 function TaskRow({
   task,
+  tagMeta,
   onToggle,
   onOpenEdit,
   onDragStart,
@@ -369,12 +2605,29 @@ function TaskRow({
   onDrop,
   onDragEnd,
   draggingId,
+  isSelected,
+  isFocused,
+  onSelect,
+  canReorder,
 }) {
+  const rowRef = useRef(null);
+  const description = task.description?.trim() ?? "";
+  const descriptionHtml = useMemo(() => (description ? renderMarkdown(description, { preview: true }) : ""), [description]);
   const isDragging = draggingId === task.id;
+  const isOverdue = Boolean(task.dueDate && !task.done && task.dueDate < todayKey());
+  const checklist = task.checklist ?? [];
+  const checklistDone = checklist.filter((item) => item.done).length;
+
+  useEffect(() => {
+    if (isFocused) rowRef.current?.scrollIntoView({ block: "nearest" });
+  }, [isFocused]);
+
   return (
     <div
-      className={`taskRow ${isDragging ? "dragging" : ""}`}
-      draggable
+      ref={rowRef}
+      className={`taskRow ${isDragging ? "dragging" : ""} ${isSelected ? "selected" : ""} ${isFocused ? "focused" : ""}`}
+      draggable={canReorder}
+      aria-selected={isSelected}
       onDragStart={(e) => onDragStart(e, task.id)}
       onDragOver={(e) => onDragOver(e, task.id)}
       onDrop={(e) => onDrop(e, task.id)}
@@ -397,24 +2650,412 @@ function TaskRow({
       <button
         type="button"
         className="taskContentButton"
-        onClick={() => onOpenEdit(task.id)}
+        onClick={(event) => {
+          if (event.shiftKey || event.metaKey || event.ctrlKey) {
+            event.preventDefault();
+            onSelect(task.id, event);
+            return;
+          }
+          onOpenEdit(task.id);
+        }}
       >
         <span className="taskContent">
           <span className={`taskContentTitle ${task.done ? "done" : ""}`}>{task.title}</span>
           <span className="taskTagList">
-            {normalizeTaskTags(task).map((tag) => (
-              <span key={tag} className="taskTagBadge">{tag}</span>
-            ))}
-          </span>
-          <span className={`taskContentDescription ${task.done ? "done" : ""}`}>
-            {task.description?.trim() || "No description yet."}
+            {normalizeTaskTags(task)
+              .sort((a, b) => compareTags(a, b, tagMeta))
+              .map((tag) => (
+                <span
+                  key={tag}
+                  className="taskTagBadge"
+                  style={tagStyle(tagMeta.get(tag.toLowerCase()))}
+                  title={tagMeta.get(tag.toLowerCase())?.description || undefined}
+                >
+                  <TagLabel tag={tag} tagMeta={tagMeta} />
+                </span>
+              ))}
+            {task.priority > 0 && (
+              <span className={`taskPriorityBadge level${task.priority}`}>
+                {"!".repeat(task.priority)} {formatTaskFieldValue("priority", task.priority)}
+              </span>
+            )}
+            {task.recurrence && (
+              <span className="taskRepeatBadge" title={describeRecurrence(task.recurrence)}>
+                ↻ {describeRecurrence(task.recurrence)}
+              </span>
+            )}
+            {checklist.length > 0 && (
+              <span
+                className={`taskChecklistBadge ${checklistDone === checklist.length ? "complete" : ""}`}
+                aria-label={`${checklistDone} of ${checklist.length} checklist items done`}
+              >
+                {checklistDone}/{checklist.length}
+              </span>
+            )}
+            {task.attachments?.length > 0 && (
+              <span
+                className="taskAttachmentBadge"
+                aria-label={`${task.attachments.length} attachment${task.attachments.length === 1 ? "" : "s"}`}
+              >
+                📎 {task.attachments.length}
+              </span>
+            )}
+            {task.dueDate && (
+              <span className={`taskDateBadge ${isOverdue ? "overdue" : ""}`}>
+                {task.dueDate === todayKey() ? "Due today" : `Due ${formatShortDate(task.dueDate)}`}
+                {task.dueTime ? ` ${task.dueTime}` : ""}
+              </span>
+            )}
           </span>
+          {descriptionHtml ? (
+            <span
+              className={`taskContentDescription markdown markdownPreview ${task.done ? "done" : ""}`}
+              dangerouslySetInnerHTML={{ __html: descriptionHtml }}
+            />
+          ) : (
+            <span className={`taskContentDescription ${task.done ? "done" : ""}`}>No description yet.</span>
+          )}
         </span>
       </button>
     </div>
   );
 }
 
+function TagManagerView({ tasks, tagMeta, onRenameTag, onMergeTags, onDeleteTag, onUpdateTagMeta, onClearTagMeta }) {
+  const [renaming, setRenaming] = useState(null);
+  const [styling, setStyling] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const tagStats = useMemo(() => {
+    const tree = buildTagTree(tasks.flatMap((task) => normalizeTaskTags(task)), tagMeta);
+    const byKey = new Map(tree.map((node) => [node.path.toLowerCase(), { ...node, tag: node.path, count: 0, openCount: 0 }]));
+    for (const task of tasks) {
+      for (const tag of withTagAncestors(normalizeTaskTags(task))) {
+        const stats = byKey.get(tag.toLowerCase());
+        stats.count += 1;
+        if (!task.done) stats.openCount += 1;
+      }
+    }
+    return Array.from(byKey.values());
+  }, [tasks, tagMeta]);
+
+  const selectedTags = tagStats.filter((stats) => selected.includes(stats.tag)).map((stats) => stats.tag);
+  const target = mergeTarget.trim() || selectedTags[0] || "";
+
+  async function run(operation) {
+    setBusy(true);
+    try {
+      await operation();
+      return true;
+    } catch {
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function submitRename(event) {
+    event.preventDefault();
+    const to = renaming.value.trim();
+    if (!to || to === renaming.tag) {
+      setRenaming(null);
+      return;
+    }
+    if (await run(() => onRenameTag(renaming.tag, to))) setRenaming(null);
+  }
+
+  async function mergeSelected() {
+    if (await run(() => onMergeTags(selectedTags, target))) {
+      setSelected([]);
+      setMergeTarget("");
+    }
+  }
+
+  function startStyling(tag) {
+    const meta = tagMeta.get(tag.toLowerCase());
+    setStyling({
+      tag,
+      color: meta?.color ?? "#64748b",
+      hasColor: Boolean(meta?.color),
+      icon: meta?.icon ?? "",
+      description: meta?.description ?? "",
+      order: meta?.order ?? "",
+    });
+  }
+
+  async function submitStyle(event) {
+    event.preventDefault();
+    const payload = {
+      color: styling.hasColor ? styling.color : null,
+      icon: styling.icon.trim(),
+      description: styling.description.trim(),
+      order: styling.order === "" ? null : Number(styling.order),
+    };
+    if (await run(() => onUpdateTagMeta(styling.tag, payload))) setStyling(null);
+  }
+
+  async function clearStyle() {
+    if (await run(() => onClearTagMeta(styling.tag))) setStyling(null);
+  }
+
+  function toggleSelected(tag) {
+    setSelected((prev) => (prev.includes(tag) ? prev.filter((value) => value !== tag) : [...prev, tag]));
+  }
+
+  return (
+    <section className="list">
+      <header className="listHeader">
+        <h1>Tags</h1>
+        <div className="listHeaderMetaRow">
+          <div className="subtleMeta">
+            {tagStats.length} tag{tagStats.length === 1 ? "" : "s"}
+          </div>
+        </div>
+        {selectedTags.length >= 2 && (
+          <div className="tagMergeBar">
+            <span>Merge {selectedTags.length} tags into</span>
+            <input
+              className="fieldInput"
+              list="tag-merge-options"
+              value={mergeTarget}
+              onChange={(event) => setMergeTarget(event.target.value)}
+              placeholder={selectedTags[0]}
+              aria-label="Merge target tag"
+            />
+            <datalist id="tag-merge-options">
+              {selectedTags.map((tag) => (
+                <option key={tag} value={tag} />
+              ))}
+            </datalist>
+            <button type="button" className="primaryButton" onClick={() => void mergeSelected()} disabled={busy || !target}>
+              Merge
+            </button>
+            <button type="button" className="secondaryButton" onClick={() => setSelected([])} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        )}
+      </header>
+
+      <div className="card">
+        {tagStats.length === 0 && <div className="emptyLogbook">No tags yet.</div>}
+        {tagStats.map((stats) => (
+          <div key={stats.tag} className="tagManagerItem" style={{ "--tag-depth": stats.depth }}>
+            <div className="tagManagerRow">
+              <input
+                type="checkbox"
+                checked={selectedTags.includes(stats.tag)}
+                onChange={() => toggleSelected(stats.tag)}
+                aria-label={`Select tag ${stats.tag}`}
+              />
+              {renaming?.tag === stats.tag ? (
+                <form className="tagEditorRow" onSubmit={submitRename}>
+                  <input
+                    className="fieldInput"
+                    value={renaming.value}
+                    onChange={(event) => setRenaming({ ...renaming, value: event.target.value })}
+                    onKeyDown={(event) => {
+                      if (event.key === "Escape") setRenaming(null);
+                    }}
+                    aria-label={`New name for ${stats.tag}`}
+                    autoFocus
+                  />
+                  <button type="submit" className="primaryButton" disabled={busy}>
+                    Save
+                  </button>
+                </form>
+              ) : (
+                <div className="tagManagerName">
+                  <span className="tagChip" style={tagStyle(tagMeta.get(stats.tag.toLowerCase()))}>
+                    <TagLabel tag={stats.tag} tagMeta={tagMeta} label={stats.depth > 0 ? stats.name : undefined} />
+                  </span>
+                  <span className="subtleMeta">
+                    {stats.count} task{stats.count === 1 ? "" : "s"} · {stats.openCount} open
+                    {tagMeta.get(stats.tag.toLowerCase())?.description
+                      ? ` · ${tagMeta.get(stats.tag.toLowerCase()).description}`
+                      : ""}
+                  </span>
+                </div>
+              )}
+              <div className="tagManagerActions">
+                <button
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => startStyling(stats.tag)}
+                  disabled={busy}
+                >
+                  Style
+                </button>
+                <button
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => setRenaming({ tag: stats.tag, value: stats.tag })}
+                  disabled={busy}
+                >
+                  Rename
+                </button>
+                <button
+                  type="button"
+                  className="dangerButton"
+                  onClick={() => void run(() => onDeleteTag(stats.tag))}
+                  disabled={busy}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+            {styling?.tag === stats.tag && (
+              <form className="tagStyleEditor" onSubmit={submitStyle}>
+                <label className="tagStyleField">
+                  <span className="fieldLabel">Color</span>
+                  <span className="tagEditorRow">
+                    <input
+                      type="checkbox"
+                      checked={styling.hasColor}
+                      onChange={(event) => setStyling({ ...styling, hasColor: event.target.checked })}
+                      aria-label="Use a color"
+                    />
+                    <input
+                      type="color"
+                      value={styling.color}
+                      onChange={(event) => setStyling({ ...styling, color: event.target.value, hasColor: true })}
+                    />
+                  </span>
+                </label>
+                <label className="tagStyleField">
+                  <span className="fieldLabel">Icon</span>
+                  <input
+                    className="fieldInput"
+                    value={styling.icon}
+                    onChange={(event) => setStyling({ ...styling, icon: event.target.value })}
+                    placeholder="e.g. 💼"
+                    maxLength={8}
+                  />
+                </label>
+                <label className="tagStyleField">
+                  <span className="fieldLabel">Order</span>
+                  <input
+                    type="number"
+                    className="fieldInput"
+                    value={styling.order}
+                    onChange={(event) => setStyling({ ...styling, order: event.target.value })}
+                    placeholder="Auto"
+                  />
+                </label>
+                <label className="tagStyleField wide">
+                  <span className="fieldLabel">Description</span>
+                  <input
+                    className="fieldInput"
+                    value={styling.description}
+                    onChange={(event) => setStyling({ ...styling, description: event.target.value })}
+                    placeholder="What is this tag for?"
+                  />
+                </label>
+                <div className="tagManagerActions">
+                  <button type="submit" className="primaryButton" disabled={busy}>
+                    Save
+                  </button>
+                  <button type="button" className="secondaryButton" onClick={() => void clearStyle()} disabled={busy}>
+                    Reset Style
+                  </button>
+                  <button type="button" className="secondaryButton" onClick={() => setStyling(null)} disabled={busy}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function BulkActionBar({ selectedTasks, tagOptions, onAction, onClear }) {
+  const [tagInput, setTagInput] = useState("");
+  const [busy, setBusy] = useState(false);
+  const selectedTags = useMemo(
+    () => withTagAncestors(selectedTasks.flatMap((task) => normalizeTaskTags(task))).sort((a, b) => a.localeCompare(b)),
+    [selectedTasks]
+  );
+
+  async function run(action, options) {
+    setBusy(true);
+    try {
+      await onAction(action, options);
+      setTagInput("");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function submitTag(event) {
+    event.preventDefault();
+    const tag = normalizeTagPath(tagInput);
+    if (tag) void run("add-tag", { tag });
+  }
+
+  return (
+    <div className="bulkActionBar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulkActionCount">{selectedTasks.length} selected</span>
+      <button type="button" className="secondaryButton" onClick={() => void run("complete")} disabled={busy}>
+        Complete
+      </button>
+      <button type="button" className="secondaryButton" onClick={() => void run("reopen")} disabled={busy}>
+        Reopen
+      </button>
+      <form className="bulkActionTag" onSubmit={submitTag}>
+        <input
+          className="fieldInput"
+          list="bulk-tag-options"
+          value={tagInput}
+          onChange={(event) => setTagInput(event.target.value)}
+          placeholder="Add tag"
+          aria-label="Tag to add"
+          disabled={busy}
+        />
+        <datalist id="bulk-tag-options">
+          {tagOptions.map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+        </datalist>
+      </form>
+      <select
+        className="fieldInput"
+        value=""
+        onChange={(event) => event.target.value && void run("remove-tag", { tag: event.target.value })}
+        aria-label="Remove tag"
+        disabled={busy || selectedTags.length === 0}
+      >
+        <option value="">Remove tag…</option>
+        {selectedTags.map((tag) => (
+          <option key={tag} value={tag}>{tag}</option>
+        ))}
+      </select>
+      <select
+        className="fieldInput"
+        value=""
+        onChange={(event) => event.target.value && void run("move", { when: event.target.value })}
+        aria-label="Move to"
+        disabled={busy}
+      >
+        <option value="">Move to…</option>
+        {TASK_BUCKETS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button type="button" className="dangerButton" onClick={() => void run("delete")} disabled={busy}>
+        Delete
+      </button>
+      <button type="button" className="secondaryButton" onClick={onClear} disabled={busy}>
+        Clear
+      </button>
+    </div>
+  );
+}
+
 function TaskList({
   title,
   tasks,
@@ -431,15 +3072,33 @@ function TaskList({
   onToggleFilterTag,
   onClearFilterTags,
   onDeleteCompletedTasks,
+  groupTasks,
+  emptyMessage,
+  defaultBucket,
+  notes,
+  headerActions,
+  onSaveFilter,
+  onBatchAction,
+  onDeleteTask,
+  shortcutBindings,
+  inputRef,
+  autoFocusInput,
+  sortMode,
+  onChangeSortMode,
+  tagMeta,
 }) {
   const [value, setValue] = useState("");
-  const inputRef = useRef(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [focusedTaskId, setFocusedTaskId] = useState(null);
+  const selectionAnchorRef = useRef(null);
+  const [bucket, setBucket] = useState(defaultBucket ?? "inbox");
+  const [expandedTags, setExpandedTags] = useState([]);
 
   useEffect(() => {
-    inputRef.current?.focus();
-  }, []);
+    if (autoFocusInput) inputRef.current?.focus();
+  }, [autoFocusInput, inputRef]);
 
-  const availableTags = useMemo(() => {
+  const tagTree = useMemo(() => {
     const tags = new Set();
     for (const task of tasks) {
       for (const tag of normalizeTaskTags(task)) {
@@ -447,32 +3106,125 @@ function TaskList({
         tags.add(tag);
       }
     }
-    return [RESERVED_FILTER_TAG, ...Array.from(tags).sort((a, b) => a.localeCompare(b))];
-  }, [tasks]);
+    return buildTagTree(Array.from(tags), tagMeta);
+  }, [tasks, tagMeta]);
+
+  const visibleTagNodes = useMemo(() => {
+    const expanded = new Set(expandedTags.map((tag) => tag.toLowerCase()));
+    for (const selected of selectedTags) {
+      for (const ancestor of tagAncestors(selected)) expanded.add(ancestor.toLowerCase());
+    }
+    return tagTree.filter((node) => tagAncestors(node.path).every((ancestor) => expanded.has(ancestor.toLowerCase())));
+  }, [tagTree, expandedTags, selectedTags]);
+
+  function toggleExpandedTag(tag) {
+    setExpandedTags((prev) =>
+      prev.includes(tag) ? prev.filter((value) => !tagMatchesSelection(value, tag)) : [...prev, tag]
+    );
+  }
 
   const filteredTasks = useMemo(() => {
     if (selectedTags.length === 0) return tasks;
     return tasks.filter((task) =>
       normalizeTaskTags(task).some((tag) =>
-        selectedTags.some((selected) => selected.toLowerCase() === tag.toLowerCase())
+        selectedTags.some((selected) => tagMatchesSelection(tag, selected))
       )
     );
   }, [tasks, selectedTags]);
 
   const remaining = useMemo(() => filteredTasks.filter((t) => !t.done).length, [filteredTasks]);
   const completedCount = useMemo(() => tasks.filter((t) => t.done).length, [tasks]);
+  const canReorder = sortMode === "manual";
   const sortedTasks = useMemo(() => {
+    const compare = compareTasksBy(sortMode);
     const incomplete = filteredTasks.filter((t) => !t.done);
     const done = filteredTasks.filter((t) => t.done);
-    return [...incomplete, ...done];
-  }, [filteredTasks]);
+    return compare ? [...incomplete.sort(compare), ...done.sort(compare)] : [...incomplete, ...done];
+  }, [filteredTasks, sortMode]);
+  const taskGroups = useMemo(
+    () => (groupTasks ? groupTasks(sortedTasks) : [{ key: "all", label: null, tasks: sortedTasks }]),
+    [groupTasks, sortedTasks]
+  );
+  const visibleTasks = useMemo(() => taskGroups.flatMap((group) => group.tasks), [taskGroups]);
+  const selectedTasks = useMemo(
+    () => visibleTasks.filter((task) => selectedIds.includes(task.id)),
+    [visibleTasks, selectedIds]
+  );
+
+  useEffect(() => {
+    if (selectedIds.length === 0) return undefined;
+    function onKeyDown(event) {
+      if (event.key === "Escape" && !document.querySelector(".modalBackdrop")) setSelectedIds([]);
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [selectedIds.length]);
+
+  function selectTask(taskId, event) {
+    const anchorId = selectionAnchorRef.current;
+    const ids = visibleTasks.map((task) => task.id);
+    if (event.shiftKey && anchorId && ids.includes(anchorId)) {
+      const [from, to] = [ids.indexOf(anchorId), ids.indexOf(taskId)].sort((a, b) => a - b);
+      const range = ids.slice(from, to + 1);
+      setSelectedIds((prev) => [...prev.filter((id) => !range.includes(id)), ...range]);
+      return;
+    }
+
+    selectionAnchorRef.current = taskId;
+    setSelectedIds((prev) => (prev.includes(taskId) ? prev.filter((id) => id !== taskId) : [...prev, taskId]));
+  }
+
+  useEffect(() => {
+    function onKeyDown(event) {
+      if (event.defaultPrevented || isTypingTarget(event.target) || document.querySelector(".modalBackdrop")) return;
+      const action = shortcutActionFor(event, shortcutBindings);
+      if (!action) return;
+
+      const index = visibleTasks.findIndex((task) => task.id === focusedTaskId);
+      const focusedTask = visibleTasks[index];
+      if (action === "newTask") {
+        inputRef.current?.focus();
+      } else if (action === "nextTask" || action === "previousTask") {
+        const step = action === "nextTask" ? 1 : -1;
+        const nextIndex = index === -1 ? (step === 1 ? 0 : visibleTasks.length - 1) : index + step;
+        const nextTask = visibleTasks[Math.min(Math.max(nextIndex, 0), visibleTasks.length - 1)];
+        if (nextTask) setFocusedTaskId(nextTask.id);
+      } else if (focusedTask && action === "openTask") {
+        onOpenEditTask(focusedTask.id);
+      } else if (focusedTask && action === "toggleTask") {
+        void onToggleTask(focusedTask.id);
+      } else if (focusedTask && action === "selectTask") {
+        selectTask(focusedTask.id, event);
+      } else if (focusedTask && action === "deleteTask") {
+        void onDeleteTask(focusedTask.id);
+      } else {
+        return;
+      }
+      event.preventDefault();
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  async function runBatchAction(action, options) {
+    const taskIds = selectedTasks.map((task) => task.id);
+    if (await onBatchAction(action, taskIds, options)) {
+      setSelectedIds([]);
+      selectionAnchorRef.current = null;
+    }
+  }
+
+  const parsedEntry = useMemo(() => parseQuickEntry(value), [value]);
+  const hasParsedFields =
+    parsedEntry.tags.length > 0 || parsedEntry.dueDate || parsedEntry.priority > 0 || parsedEntry.description;
 
   async function submit(e) {
     e.preventDefault();
-    const trimmed = value.trim();
-    if (!trimmed) return;
+    if (!parsedEntry.title) return;
 
-    await onAddTask(trimmed);
+    await onAddTask(parsedEntry.title, { ...parsedEntry, when: bucket });
     setValue("");
     inputRef.current?.focus();
   }
@@ -481,55 +3233,121 @@ function TaskList({
     <section className="list">
       <header className="listHeader">
         <h1>{title}</h1>
+        {notes && <p className="listNotes">{notes}</p>}
         <div className="listHeaderMetaRow">
           <div className="subtleMeta">{remaining} remaining</div>
-          <div className="tagFilters" role="toolbar" aria-label="Filter tasks by tag">
-            {availableTags.map((tag) => (
-              tag === RESERVED_FILTER_TAG ? (
-                <button
-                  key={tag}
-                  type="button"
-                  className={`tagFilterButton ${selectedTags.length === 0 ? "active" : ""}`}
-                  onClick={onClearFilterTags}
-                  aria-pressed={selectedTags.length === 0}
-                >
-                  {tag}
-                </button>
-              ) : (
-                <button
-                  key={tag}
-                  type="button"
-                  className={`tagFilterButton ${selectedTags.some((value) => value.toLowerCase() === tag.toLowerCase()) ? "active" : ""}`}
-                  onClick={() => onToggleFilterTag(tag)}
-                  aria-pressed={selectedTags.some((value) => value.toLowerCase() === tag.toLowerCase())}
-                >
-                  {tag}
-                </button>
-              )
+          <select
+            className="sortModeSelect"
+            value={sortMode}
+            onChange={(event) => onChangeSortMode(event.target.value)}
+            aria-label="Sort tasks by"
+            title={canReorder ? "Drag tasks to reorder them" : "Switch to Manual to reorder tasks by dragging"}
+          >
+            {SORT_MODES.map((mode) => (
+              <option key={mode.value} value={mode.value}>Sort: {mode.label}</option>
             ))}
+          </select>
+          {headerActions}
+          <div className="tagFilters" role="toolbar" aria-label="Filter tasks by tag">
+            <button
+              type="button"
+              className={`tagFilterButton ${selectedTags.length === 0 ? "active" : ""}`}
+              onClick={onClearFilterTags}
+              aria-pressed={selectedTags.length === 0}
+            >
+              {RESERVED_FILTER_TAG}
+            </button>
+            {visibleTagNodes.map((node) => {
+              const isSelected = selectedTags.some((value) => value.toLowerCase() === node.path.toLowerCase());
+              const isCovered = !isSelected && selectedTags.some((value) => tagMatchesSelection(node.path, value));
+              const isExpanded =
+                expandedTags.includes(node.path) ||
+                selectedTags.some((value) => tagAncestors(value).some((ancestor) => ancestor.toLowerCase() === node.path.toLowerCase()));
+              return (
+                <span key={node.path} className={`tagFilterNode ${node.depth > 0 ? "nested" : ""}`}>
+                  <button
+                    type="button"
+                    className={`tagFilterButton ${isSelected ? "active" : ""} ${isCovered ? "covered" : ""}`}
+                    onClick={() => onToggleFilterTag(node.path)}
+                    aria-pressed={isSelected}
+                    title={tagMeta.get(node.path.toLowerCase())?.description || node.path}
+                  >
+                    <TagLabel tag={node.path} tagMeta={tagMeta} label={node.depth > 0 ? `↳ ${node.name}` : node.name} showColor />
+                  </button>
+                  {node.hasChildren && (
+                    <button
+                      type="button"
+                      className="tagFilterToggle"
+                      onClick={() => toggleExpandedTag(node.path)}
+                      aria-expanded={isExpanded}
+                      aria-label={`${isExpanded ? "Collapse" : "Expand"} ${node.path}`}
+                    >
+                      {isExpanded ? "▾" : "▸"}
+                    </button>
+                  )}
+                </span>
+              );
+            })}
+            {selectedTags.length > 0 && onSaveFilter && (
+              <button type="button" className="tagFilterButton" onClick={() => onSaveFilter(selectedTags)}>
+                Save as Filter…
+              </button>
+            )}
           </div>
         </div>
+        {selectedTasks.length > 0 && (
+          <BulkActionBar
+            selectedTasks={selectedTasks}
+            tagOptions={tagTree.map((node) => node.path)}
+            onAction={runBatchAction}
+            onClear={() => setSelectedIds([])}
+          />
+        )}
       </header>
 
       <div
         className="card"
         onDragOver={(e) => e.preventDefault()}
-        onDrop={(e) => onDrop(e, null)}
+        onDrop={(e) => canReorder && onDrop(e, null)}
       >
         {isLoading && <div className="statusBanner">Loading tasks from markdown files…</div>}
 
-        {sortedTasks.map((t) => (
-          <TaskRow
-            key={t.id}
-            task={t}
-            onToggle={onToggleTask}
-            onOpenEdit={onOpenEditTask}
-            onDragStart={onDragStart}
-            onDragOver={onDragOver}
-            onDrop={onDrop}
-            onDragEnd={onDragEnd}
-            draggingId={draggingId}
-          />
+        {!canReorder && sortedTasks.length > 1 && (
+          <div className="sortModeNotice">
+            Sorted by {SORT_MODES.find((mode) => mode.value === sortMode)?.label.toLowerCase()}. Drag and drop is off;
+            <button type="button" className="linkButton" onClick={() => onChangeSortMode("manual")}>
+              switch to manual order
+            </button>
+            to reorder tasks.
+          </div>
+        )}
+
+        {!isLoading && sortedTasks.length === 0 && emptyMessage && (
+          <div className="emptyLogbook">{emptyMessage}</div>
+        )}
+
+        {taskGroups.map((group) => (
+          <div key={group.key} className="taskGroup">
+            {group.label && <div className="taskGroupHeader">{group.label}</div>}
+            {group.tasks.map((t) => (
+              <TaskRow
+                key={t.id}
+                task={t}
+                tagMeta={tagMeta}
+                onToggle={onToggleTask}
+                onOpenEdit={onOpenEditTask}
+                onDragStart={onDragStart}
+                onDragOver={onDragOver}
+                onDrop={onDrop}
+                onDragEnd={onDragEnd}
+                draggingId={draggingId}
+                isSelected={selectedIds.includes(t.id)}
+                isFocused={focusedTaskId === t.id}
+                onSelect={selectTask}
+                canReorder={canReorder}
+              />
+            ))}
+          </div>
         ))}
         <div className="divider" />
         <div className="taskRow">
@@ -538,12 +3356,52 @@ function TaskList({
               ref={inputRef}
               value={value}
               onChange={(e) => setValue(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Escape") e.currentTarget.blur();
+              }}
               className="quickEntryInput"
-              placeholder="Add a task…"
+              placeholder="Add a task… (try: Call Sam fri 5pm #Work !! // agenda)"
               aria-label="Add a task"
               disabled={isLoading}
             />
+            <select
+              className="quickEntryBucket"
+              value={bucket}
+              onChange={(e) => setBucket(e.target.value)}
+              aria-label="Add to"
+              disabled={isLoading}
+            >
+              {TASK_BUCKETS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
           </form>
+          {hasParsedFields && (
+            <div className="quickEntryPreview" aria-live="polite">
+              <span className={`quickEntryPreviewTitle ${parsedEntry.title ? "" : "missing"}`}>
+                {parsedEntry.title || "Add a title"}
+              </span>
+              {parsedEntry.tags.map((tag) => (
+                <span key={tag} className="taskTagBadge" style={tagStyle(tagMeta.get(tag.toLowerCase()))}>
+                  <TagLabel tag={tag} tagMeta={tagMeta} />
+                </span>
+              ))}
+              {parsedEntry.dueDate && (
+                <span className="taskDateBadge">
+                  Due {formatDayLabel(parsedEntry.dueDate)}
+                  {parsedEntry.dueTime ? ` ${parsedEntry.dueTime}` : ""}
+                </span>
+              )}
+              {parsedEntry.priority > 0 && (
+                <span className="taskPriorityBadge">
+                  {PRIORITY_LEVELS.find((level) => level.value === parsedEntry.priority)?.label} priority
+                </span>
+              )}
+              {parsedEntry.description && (
+                <span className="quickEntryPreviewDescription">{parsedEntry.description}</span>
+              )}
+            </div>
+          )}
         </div>
       </div>
       <div className="listFooterActions">
@@ -582,23 +3440,58 @@ export default function App() {
   const [tasks, setTasks] = useState([]);
   const [logEntries, setLogEntries] = useState([]);
   const [logbookLoading, setLogbookLoading] = useState(false);
+  const [logCursor, setLogCursor] = useState(null);
+  const [logTotal, setLogTotal] = useState(0);
+  const [logFilters, setLogFilters] = useState(EMPTY_LOG_FILTERS);
+  const [logArchives, setLogArchives] = useState([]);
+  const logFiltersRef = useRef(logFilters);
+  const logbookRequestRef = useRef(0);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [activeView, setActiveView] = useState("Inbox");
   const [editingTaskId, setEditingTaskId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [editingProjectId, setEditingProjectId] = useState(null);
+  const [filters, setFilters] = useState([]);
+  const [tagRegistry, setTagRegistry] = useState([]);
+  const [filterDraft, setFilterDraft] = useState(null);
+  const [externalChange, setExternalChange] = useState(null);
+  const [editorRevision, setEditorRevision] = useState(0);
+  const tasksRef = useRef(tasks);
+  const editingTaskIdRef = useRef(editingTaskId);
+
+  useEffect(() => {
+    tasksRef.current = tasks;
+    editingTaskIdRef.current = editingTaskId;
+  }, [tasks, editingTaskId]);
   const [selectedTags, setSelectedTags] = useState([]);
   const [loading, setLoading] = useState(true);
   const [errorMessage, setErrorMessage] = useState("");
   const draggedIdRef = useRef(null);
   const [draggingId, setDraggingId] = useState(null);
+  const [shortcutBindings, setShortcutBindings] = useState(loadShortcutBindings);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [shortcutsHelpOpen, setShortcutsHelpOpen] = useState(false);
+  const [quickEntryAutoFocus, setQuickEntryAutoFocus] = useState(true);
+  const [sortModes, setSortModes] = useState(loadSortModes);
+  const searchInputRef = useRef(null);
+  const quickEntryRef = useRef(null);
 
   useEffect(() => {
     let cancelled = false;
 
     async function loadTasks() {
       try {
-        const data = await tasksApi.list();
+        const [data, projectData, filterData, tagData] = await Promise.all([
+          tasksApi.list(),
+          tasksApi.listProjects(),
+          tasksApi.listFilters(),
+          tasksApi.listTagRegistry(),
+        ]);
         if (!cancelled) {
           setTasks(Array.isArray(data?.tasks) ? data.tasks : []);
+          setProjects(Array.isArray(projectData?.projects) ? projectData.projects : []);
+          setFilters(Array.isArray(filterData?.filters) ? filterData.filters : []);
+          setTagRegistry(Array.isArray(tagData?.tags) ? tagData.tags : []);
           setErrorMessage("");
         }
       } catch (error) {
@@ -617,22 +3510,178 @@ export default function App() {
     };
   }, []);
 
-  async function loadLogbook() {
+  useEffect(() => {
+    const events = new EventSource("/api/events");
+
+    function upsertTask(task) {
+      setTasks((prev) =>
+        prev.some((value) => value.id === task.id)
+          ? prev.map((value) => (value.id === task.id ? task : value))
+          : [...prev, task]
+      );
+    }
+
+    function isFromElsewhere({ source, origin }) {
+      return source === "external" || origin !== CLIENT_ID;
+    }
+
+    function onTaskChanged(event) {
+      const payload = JSON.parse(event.data);
+      const { task } = payload;
+      if (!task) return;
+      upsertTask(task);
+      if (isFromElsewhere(payload) && editingTaskIdRef.current === task.id) {
+        setExternalChange({ taskId: task.id, kind: "updated", task });
+      }
+    }
+
+    function onTaskDeleted(event) {
+      const payload = JSON.parse(event.data);
+      const { taskId } = payload;
+      if (isFromElsewhere(payload) && editingTaskIdRef.current === taskId) {
+        const task = tasksRef.current.find((value) => value.id === taskId);
+        if (task) setExternalChange({ taskId, kind: "deleted", task });
+      }
+      setTasks((prev) => prev.filter((value) => value.id !== taskId));
+    }
+
+    function onTasksSynced(event) {
+      const payload = JSON.parse(event.data);
+      if (!Array.isArray(payload.tasks)) return;
+      const editingId = editingTaskIdRef.current;
+      if (editingId && isFromElsewhere(payload)) {
+        const before = tasksRef.current.find((task) => task.id === editingId);
+        const after = payload.tasks.find((task) => task.id === editingId);
+        if (before && !after) {
+          setExternalChange({ taskId: editingId, kind: "deleted", task: before });
+        } else if (before && after && taskContentChanged(before, after)) {
+          setExternalChange({ taskId: editingId, kind: "updated", task: after });
+        }
+      }
+      setTasks(payload.tasks);
+    }
+
+    function onProjectsSynced(event) {
+      const { projects: nextProjects } = JSON.parse(event.data);
+      if (Array.isArray(nextProjects)) setProjects(nextProjects);
+    }
+
+    function onTagsSynced(event) {
+      const { tags: nextTags } = JSON.parse(event.data);
+      if (Array.isArray(nextTags)) setTagRegistry(nextTags);
+    }
+
+    function onFiltersSynced(event) {
+      const { filters: nextFilters } = JSON.parse(event.data);
+      if (Array.isArray(nextFilters)) setFilters(nextFilters);
+    }
+
+    function onLogbookAppended(event) {
+      const { entry } = JSON.parse(event.data);
+      if (!entry) return;
+      if (entry.type === "task_restored") {
+        setLogEntries((prev) =>
+          prev.map((value) => (value.id === entry.data?.sourceEntryId ? { ...value, restored: true } : value))
+        );
+      }
+      if (hasLogFilters(logFiltersRef.current)) return;
+      setLogEntries((prev) => (prev.some((value) => value.id === entry.id) ? prev : [entry, ...prev]));
+      setLogTotal((count) => count + 1);
+    }
+
+    let disconnected = false;
+    async function resyncAfterReconnect() {
+      if (!disconnected) return;
+      disconnected = false;
+      try {
+        const [data, projectData, filterData, tagData] = await Promise.all([
+          tasksApi.list(),
+          tasksApi.listProjects(),
+          tasksApi.listFilters(),
+          tasksApi.listTagRegistry(),
+        ]);
+        if (Array.isArray(data?.tasks)) setTasks(data.tasks);
+        if (Array.isArray(projectData?.projects)) setProjects(projectData.projects);
+        if (Array.isArray(filterData?.filters)) setFilters(filterData.filters);
+        if (Array.isArray(tagData?.tags)) setTagRegistry(tagData.tags);
+      } catch (error) {
+        setErrorMessage(error.message || "Failed to resync after reconnecting.");
+      }
+    }
+
+    events.addEventListener("task.created", onTaskChanged);
+    events.addEventListener("task.updated", onTaskChanged);
+    events.addEventListener("task.deleted", onTaskDeleted);
+    events.addEventListener("tasks.synced", onTasksSynced);
+    events.addEventListener("projects.synced", onProjectsSynced);
+    events.addEventListener("filters.synced", onFiltersSynced);
+    events.addEventListener("tags.synced", onTagsSynced);
+    events.addEventListener("logbook.appended", onLogbookAppended);
+    events.addEventListener("logbook.cleared", () => {
+      if (logFiltersRef.current.archive) return;
+      setLogEntries([]);
+      setLogCursor(null);
+      setLogTotal(0);
+    });
+    events.addEventListener("open", () => void resyncAfterReconnect());
+    events.addEventListener("error", () => {
+      disconnected = true;
+    });
+    return () => events.close();
+  }, []);
+
+  async function loadLogbook({ cursor = null } = {}) {
+    const requestId = ++logbookRequestRef.current;
     setLogbookLoading(true);
     try {
-      const data = await tasksApi.listLogbook();
-      setLogEntries(Array.isArray(data?.entries) ? data.entries : []);
+      const { archive } = logFiltersRef.current;
+      const params = { ...buildLogbookParams(logFiltersRef.current), cursor };
+      const data = archive
+        ? await tasksApi.readLogbookArchive(archive, params)
+        : await tasksApi.listLogbook(params);
+      if (requestId !== logbookRequestRef.current) return;
+      const entries = Array.isArray(data?.entries) ? data.entries : [];
+      setLogEntries((prev) => {
+        if (!cursor) return entries;
+        const loadedIds = new Set(prev.map((entry) => entry.id));
+        return [...prev, ...entries.filter((entry) => !loadedIds.has(entry.id))];
+      });
+      setLogCursor(data?.nextCursor ?? null);
+      setLogTotal(Number(data?.total) || 0);
       setErrorMessage("");
     } catch (error) {
-      setErrorMessage(error.message || "Failed to load logbook.");
+      if (requestId === logbookRequestRef.current) setErrorMessage(error.message || "Failed to load logbook.");
     } finally {
-      setLogbookLoading(false);
+      if (requestId === logbookRequestRef.current) setLogbookLoading(false);
+    }
+  }
+
+  async function loadLogbookArchives() {
+    try {
+      const data = await tasksApi.listLogbookArchives();
+      setLogArchives(Array.isArray(data?.archives) ? data.archives : []);
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to load logbook archives.");
     }
   }
 
+  async function loadMoreLogbook() {
+    if (!logCursor || logbookLoading) return;
+    await loadLogbook({ cursor: logCursor });
+  }
+
+  useEffect(() => {
+    logFiltersRef.current = logFilters;
+  }, [logFilters]);
+
   useEffect(() => {
     if (activeView !== "Logbook") return;
     void loadLogbook();
+  }, [activeView, logFilters]);
+
+  useEffect(() => {
+    if (activeView !== "Logbook") return;
+    void loadLogbookArchives();
   }, [activeView]);
 
   function handleDragStart(e, id) {
@@ -679,9 +3728,36 @@ export default function App() {
     setDraggingId(null);
   }
 
-  async function addTask(title) {
+  async function addTask(title, { when = "inbox", tags: entryTags = [], dueDate, dueTime, priority, description = "" } = {}) {
+    const fields = { when };
+    let tags = [DEFAULT_TAG];
+    if (activeProject) {
+      fields.projectId = activeProject.id;
+    }
+    if (activeFilter?.tags.length > 0) {
+      tags = activeFilter.tagMode === "all" ? activeFilter.tags : activeFilter.tags.slice(0, 1);
+    }
+    if (entryTags.length > 0) {
+      tags = activeFilter?.tags.length > 0 ? [...tags, ...entryTags] : entryTags;
+    }
+    if (activeView === "Today") {
+      fields.dueDate = todayKey();
+    }
+    if (dueDate) {
+      fields.dueDate = dueDate;
+      fields.dueTime = dueTime ?? null;
+    }
+    if (priority) {
+      fields.priority = priority;
+    }
+    if (when === "scheduled") {
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      fields.startDate = toDateKey(tomorrow);
+    }
+
     try {
-      const data = await tasksApi.create({ title, description: "", tags: [DEFAULT_TAG] });
+      const data = await tasksApi.create({ title, description, tags, ...fields });
       if (data?.task) {
         setTasks((prev) => [data.task, ...prev]);
       }
@@ -704,7 +3780,9 @@ export default function App() {
       if (data?.task) {
         setTasks((prev) => prev.map((t) => (t.id === taskId ? data.task : t)));
       }
-      void loadLogbook();
+      if (data?.nextTask) {
+        setTasks((prev) => [...prev, data.nextTask]);
+      }
       setErrorMessage("");
     } catch (error) {
       setTasks((prev) => prev.map((t) => (t.id === taskId ? { ...t, done: currentTask.done } : t)));
@@ -714,22 +3792,36 @@ export default function App() {
 
   function openTaskEditor(taskId) {
     setEditingTaskId(taskId);
+    setExternalChange(null);
   }
 
   function closeTaskEditor() {
     setEditingTaskId(null);
+    setExternalChange(null);
+  }
+
+  function reloadEditingTask() {
+    setExternalChange(null);
+    setEditorRevision((prev) => prev + 1);
   }
 
-  async function saveTask(taskId, updates) {
+  async function saveTask(taskId, updates, options) {
     try {
-      const data = await tasksApi.update(taskId, updates);
+      const data = await tasksApi.update(taskId, updates, options);
       if (data?.task) {
         setTasks((prev) => prev.map((task) => (task.id === taskId ? data.task : task)));
       }
       setEditingTaskId(null);
+      setExternalChange(null);
       setErrorMessage("");
     } catch (error) {
-      setErrorMessage(error.message || "Failed to save task.");
+      if (error.status === 409 && error.data?.task) {
+        const latest = error.data.task;
+        setTasks((prev) => prev.map((task) => (task.id === taskId ? latest : task)));
+        setExternalChange(null);
+      } else {
+        setErrorMessage(error.message || "Failed to save task.");
+      }
       throw error;
     }
   }
@@ -752,20 +3844,89 @@ export default function App() {
         const stillExists = (data?.tasks ?? []).some((task) => task.id === editingTaskId);
         if (!stillExists) setEditingTaskId(null);
       }
-      void loadLogbook();
       setErrorMessage("");
     } catch (error) {
       setErrorMessage(error.message || "Failed to delete completed tasks.");
     }
   }
 
+  async function runBatchAction(action, taskIds, options) {
+    if (action === "delete") {
+      const confirmed = window.confirm(`Delete ${taskIds.length} selected task${taskIds.length === 1 ? "" : "s"}?`);
+      if (!confirmed) return false;
+    }
+
+    try {
+      const data = await tasksApi.batch(action, taskIds, options);
+      if (Array.isArray(data?.tasks)) {
+        setTasks(data.tasks);
+        if (editingTaskId && !data.tasks.some((task) => task.id === editingTaskId)) setEditingTaskId(null);
+      }
+      setErrorMessage("");
+      return true;
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to update the selected tasks.");
+      return false;
+    }
+  }
+
+  async function renameTag(from, to) {
+    try {
+      const data = await tasksApi.renameTag(from, to);
+      if (Array.isArray(data?.tasks)) {
+        setTasks(data.tasks);
+      }
+      setSelectedTags((prev) => prev.map((tag) => (tag.toLowerCase() === from.toLowerCase() ? to : tag)));
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to rename tag.");
+      throw error;
+    }
+  }
+
+  async function updateTagMeta(tag, payload) {
+    try {
+      const data = await tasksApi.updateTagMeta(tag, payload);
+      if (Array.isArray(data?.tags)) setTagRegistry(data.tags);
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to save tag style.");
+      throw error;
+    }
+  }
+
+  async function clearTagMeta(tag) {
+    try {
+      const data = await tasksApi.deleteTagMeta(tag);
+      if (Array.isArray(data?.tags)) setTagRegistry(data.tags);
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to reset tag style.");
+      throw error;
+    }
+  }
+
+  async function mergeTags(sources, target) {
+    try {
+      const data = await tasksApi.mergeTags(sources, target);
+      if (Array.isArray(data?.tasks)) {
+        setTasks(data.tasks);
+      }
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to merge tags.");
+      throw error;
+    }
+  }
+
   async function deleteTagEverywhere(tag) {
+    const confirmed = window.confirm(`Remove the tag "${tag}" from every task?`);
+    if (!confirmed) return;
     try {
       const data = await tasksApi.deleteTagEverywhere(tag);
       if (Array.isArray(data?.tasks)) {
         setTasks(data.tasks);
       }
-      void loadLogbook();
       setErrorMessage("");
     } catch (error) {
       setErrorMessage(error.message || "Failed to delete tag.");
@@ -773,7 +3934,35 @@ export default function App() {
     }
   }
 
-  async function deleteTask(taskId) {
+  async function uploadAttachments(taskId, files) {
+    let latest = null;
+    const failed = [];
+    for (const file of files) {
+      try {
+        const data = await tasksApi.uploadAttachment(taskId, file);
+        latest = data.task;
+        setTasks((prev) => prev.map((task) => (task.id === taskId ? data.task : task)));
+      } catch (error) {
+        failed.push(`${file.name}: ${error.message || "upload failed"}`);
+      }
+    }
+    setErrorMessage(failed.length > 0 ? `Failed to attach ${failed.join("; ")}` : "");
+    return latest;
+  }
+
+  async function deleteAttachment(taskId, attachmentId) {
+    try {
+      const data = await tasksApi.deleteAttachment(taskId, attachmentId);
+      setTasks((prev) => prev.map((task) => (task.id === taskId ? data.task : task)));
+      setErrorMessage("");
+      return data.task;
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to remove attachment.");
+      return null;
+    }
+  }
+
+  async function deleteTask(taskId, options) {
     const task = tasks.find((value) => value.id === taskId);
     if (!task) return;
 
@@ -781,21 +3970,69 @@ export default function App() {
     if (!confirmed) return;
 
     try {
-      await tasksApi.deleteTask(taskId);
+      await tasksApi.deleteTask(taskId, options);
       setTasks((prev) => prev.filter((value) => value.id !== taskId));
       setEditingTaskId(null);
-      void loadLogbook();
       setErrorMessage("");
     } catch (error) {
+      if (error.status === 409 && error.data?.task) {
+        const latest = error.data.task;
+        setTasks((prev) => prev.map((value) => (value.id === taskId ? latest : value)));
+        setEditorRevision((prev) => prev + 1);
+        setErrorMessage("This task changed since you opened it. Review the latest version before deleting it.");
+        return;
+      }
       setErrorMessage(error.message || "Failed to delete task.");
       throw error;
     }
   }
 
-  const editingTask = tasks.find((task) => task.id === editingTaskId) ?? null;
+  const editingTask =
+    tasks.find((task) => task.id === editingTaskId) ??
+    (externalChange?.kind === "deleted" && externalChange.taskId === editingTaskId ? externalChange.task : null);
+  const activeProject = activeView.startsWith(PROJECT_VIEW_PREFIX)
+    ? projects.find((project) => `${PROJECT_VIEW_PREFIX}${project.id}` === activeView) ?? null
+    : null;
+  const editingProject = projects.find((project) => project.id === editingProjectId) ?? null;
+  const activeFilter = activeView.startsWith(FILTER_VIEW_PREFIX)
+    ? filters.find((filter) => `${FILTER_VIEW_PREFIX}${filter.id}` === activeView) ?? null
+    : null;
+  const viewTasks = useMemo(() => {
+    if (activeProject) return tasks.filter((task) => task.projectId === activeProject.id);
+    if (activeFilter) {
+      const today = todayKey();
+      return tasks.filter((task) => matchesSmartFilter(task, activeFilter, today));
+    }
+    return selectViewTasks(activeView, tasks, todayKey());
+  }, [tasks, activeView, activeProject, activeFilter]);
+  const filterCounts = useMemo(() => {
+    const today = todayKey();
+    const counts = {};
+    for (const filter of filters) {
+      counts[filter.id] = tasks.filter((task) => matchesSmartFilter(task, filter, today)).length;
+    }
+    return counts;
+  }, [tasks, filters]);
+  const projectCounts = useMemo(() => {
+    const counts = {};
+    for (const task of tasks) {
+      if (!task.projectId || task.done) continue;
+      counts[task.projectId] = (counts[task.projectId] ?? 0) + 1;
+    }
+    return counts;
+  }, [tasks]);
+  const viewCounts = useMemo(() => {
+    const today = todayKey();
+    const counts = {};
+    for (const view of Object.keys(VIEW_BUCKETS)) {
+      counts[view] = selectViewTasks(view, tasks, today).filter((task) => !task.done).length;
+    }
+    return counts;
+  }, [tasks]);
+  const tagMeta = useMemo(() => buildTagMetaMap(tagRegistry), [tagRegistry]);
   const tagPool = useMemo(
-    () => Array.from(new Set(tasks.flatMap((task) => normalizeTaskTags(task)))).sort((a, b) => a.localeCompare(b)),
-    [tasks]
+    () => buildTagTree(tasks.flatMap((task) => normalizeTaskTags(task)), tagMeta).map((node) => node.path),
+    [tasks, tagMeta]
   );
 
   useEffect(() => {
@@ -818,15 +4055,293 @@ export default function App() {
     setSelectedTags([]);
   }
 
-  async function clearLogbook() {
-    const confirmed = window.confirm("Clear the logbook?");
+  async function createProject() {
+    const title = window.prompt("Project name");
+    if (!title?.trim()) return;
+
+    try {
+      const data = await tasksApi.createProject({ title: title.trim() });
+      if (data?.project) {
+        setProjects((prev) => [...prev, data.project]);
+        setActiveView(`${PROJECT_VIEW_PREFIX}${data.project.id}`);
+      }
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to create project.");
+    }
+  }
+
+  async function saveProject(projectId, updates) {
+    try {
+      const data = await tasksApi.updateProject(projectId, updates);
+      if (data?.project) {
+        setProjects((prev) => prev.map((project) => (project.id === projectId ? data.project : project)));
+      }
+      setEditingProjectId(null);
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to save project.");
+      throw error;
+    }
+  }
+
+  async function deleteProject(projectId) {
+    const project = projects.find((value) => value.id === projectId);
+    if (!project) return;
+
+    const taskCount = tasks.filter((task) => task.projectId === projectId).length;
+    const confirmed = window.confirm(
+      taskCount === 0
+        ? `Delete project "${project.title}"?`
+        : `Delete project "${project.title}"? Its ${taskCount} task${taskCount === 1 ? "" : "s"} will be kept and moved out of the project.`
+    );
+    if (!confirmed) return;
+
+    try {
+      const data = await tasksApi.deleteProject(projectId);
+      setProjects((prev) => prev.filter((value) => value.id !== projectId));
+      if (Array.isArray(data?.tasks)) {
+        setTasks(data.tasks);
+      }
+      setEditingProjectId(null);
+      if (activeView === `${PROJECT_VIEW_PREFIX}${projectId}`) {
+        setActiveView("Inbox");
+      }
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to delete project.");
+      throw error;
+    }
+  }
+
+  function openFilterEditor(draft = {}) {
+    setFilterDraft({ tagMode: "any", tags: [], excludeTags: [], done: "open", due: "any", ...draft });
+  }
+
+  async function saveFilter(filterId, payload) {
+    try {
+      if (filterId) {
+        const data = await tasksApi.updateFilter(filterId, payload);
+        if (data?.filter) {
+          setFilters((prev) => prev.map((filter) => (filter.id === filterId ? data.filter : filter)));
+        }
+      } else {
+        const data = await tasksApi.createFilter(payload);
+        if (data?.filter) {
+          setFilters((prev) => [...prev, data.filter]);
+          setSelectedTags([]);
+          setActiveView(`${FILTER_VIEW_PREFIX}${data.filter.id}`);
+        }
+      }
+      setFilterDraft(null);
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to save filter.");
+      throw error;
+    }
+  }
+
+  async function deleteFilter(filterId) {
+    const filter = filters.find((value) => value.id === filterId);
+    if (!filter) return;
+
+    const confirmed = window.confirm(`Delete filter "${filter.name}"? Tasks are not affected.`);
+    if (!confirmed) return;
+
+    try {
+      await tasksApi.deleteFilter(filterId);
+      setFilters((prev) => prev.filter((value) => value.id !== filterId));
+      setFilterDraft(null);
+      if (activeView === `${FILTER_VIEW_PREFIX}${filterId}`) {
+        setActiveView("Inbox");
+      }
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to delete filter.");
+      throw error;
+    }
+  }
+
+  async function restoreLogEntry(entry) {
+    try {
+      const data = await tasksApi.restoreLogEntry(entry.id);
+      if (Array.isArray(data?.tasks)) {
+        setTasks(data.tasks);
+      }
+      setErrorMessage("");
+    } catch (error) {
+      setErrorMessage(error.message || "Failed to restore from the logbook.");
+      if (error.status === 410) void loadLogbook();
+    }
+  }
+
+  useEffect(() => {
+    const changed = SHORTCUT_ACTIONS.filter(
+      (action) => shortcutBindings[action.id].join(",") !== action.keys.join(",")
+    ).map((action) => [action.id, shortcutBindings[action.id]]);
+    if (changed.length > 0) {
+      window.localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(Object.fromEntries(changed)));
+    } else {
+      window.localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+    }
+  }, [shortcutBindings]);
+
+  useEffect(() => {
+    function onKeyDown(event) {
+      const action = shortcutActionFor(event, shortcutBindings);
+      if (action === "palette" && !document.querySelector(".modalBackdrop:not(.paletteBackdrop)")) {
+        event.preventDefault();
+        setPaletteOpen((open) => !open);
+        return;
+      }
+      if (!action || isTypingTarget(event.target) || document.querySelector(".modalBackdrop")) return;
+
+      if (action === "help") {
+        setShortcutsHelpOpen(true);
+      } else if (action === "search") {
+        searchInputRef.current?.focus();
+      } else if (action.startsWith("view:")) {
+        selectViewFromKeyboard(action.slice("view:".length));
+      } else {
+        return;
+      }
+      event.preventDefault();
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [shortcutBindings]);
+
+  useEffect(() => {
+    window.localStorage.setItem(SORT_MODES_STORAGE_KEY, JSON.stringify(sortModes));
+  }, [sortModes]);
+
+  function changeSortMode(mode) {
+    setSortModes((prev) => ({ ...prev, [activeView]: mode }));
+  }
+
+  function selectView(view) {
+    setQuickEntryAutoFocus(true);
+    setActiveView(view);
+  }
+
+  function selectViewFromKeyboard(view) {
+    setQuickEntryAutoFocus(false);
+    setActiveView(view);
+  }
+
+  function changeShortcutBinding(actionId, shortcut) {
+    setShortcutBindings((prev) => ({
+      ...Object.fromEntries(Object.entries(prev).map(([id, keys]) => [id, keys.filter((key) => key !== shortcut)])),
+      [actionId]: [shortcut],
+    }));
+  }
+
+  function buildCommands() {
+    const isTaskView = activeView !== "Logbook" && activeView !== "Tags";
+    const isFilteredBy = (tag) => selectedTags.some((value) => value.toLowerCase() === tag.toLowerCase());
+    return [
+      ...SIDEBAR_VIEWS.map((view) => ({
+        id: `view:${view}`,
+        group: "Go to",
+        label: view,
+        shortcutId: `view:${view}`,
+        run: () => selectViewFromKeyboard(view),
+      })),
+      ...projects.map((project) => ({
+        id: `project:${project.id}`,
+        group: "Go to project",
+        label: project.title,
+        run: () => selectViewFromKeyboard(`${PROJECT_VIEW_PREFIX}${project.id}`),
+      })),
+      ...filters.map((filter) => ({
+        id: `filter:${filter.id}`,
+        group: "Go to filter",
+        label: filter.name,
+        run: () => selectViewFromKeyboard(`${FILTER_VIEW_PREFIX}${filter.id}`),
+      })),
+      {
+        id: "new-task",
+        group: "Tasks",
+        label: "Add a task",
+        shortcutId: "newTask",
+        run: () => (isTaskView ? quickEntryRef.current?.focus() : setActiveView("Inbox")),
+      },
+      { id: "search", group: "Tasks", label: "Search tasks", shortcutId: "search", run: () => searchInputRef.current?.focus() },
+      { id: "new-project", group: "Projects", label: "New project", run: createProject },
+      { id: "new-filter", group: "Filters", label: "New filter", run: () => openFilterEditor() },
+      ...tagPool.map((tag) => ({
+        id: `tag:${tag}`,
+        group: isFilteredBy(tag) ? "Stop filtering by tag" : "Filter by tag",
+        label: tag,
+        run: () => {
+          if (!isTaskView) selectViewFromKeyboard("Inbox");
+          toggleFilterTag(tag);
+        },
+      })),
+      { id: "clear-tags", group: "Filter by tag", label: RESERVED_FILTER_TAG, run: clearFilterTags },
+      ...(isTaskView
+        ? SORT_MODES.map((mode) => ({ id: `sort:${mode.value}`, group: "Sort by", label: mode.label, run: () => changeSortMode(mode.value) }))
+        : []),
+      ...tasks.flatMap((task) => [
+        { id: `edit:${task.id}`, group: "Edit task", label: task.title, run: () => openTaskEditor(task.id) },
+        {
+          id: `toggle:${task.id}`,
+          group: task.done ? "Reopen task" : "Complete task",
+          label: task.title,
+          run: () => toggleTask(task.id),
+        },
+      ]),
+      { id: "delete-completed", group: "Delete", label: "Completed tasks", run: deleteCompletedTasks },
+      ...tasks.map((task) => ({
+        id: `delete:${task.id}`,
+        group: "Delete task",
+        label: task.title,
+        run: () => deleteTask(task.id),
+      })),
+      ...tagPool.map((tag) => ({
+        id: `delete-tag:${tag}`,
+        group: "Delete tag everywhere",
+        label: tag,
+        run: () => deleteTagEverywhere(tag).catch(() => null),
+      })),
+      ...projects.map((project) => ({
+        id: `delete-project:${project.id}`,
+        group: "Delete project",
+        label: project.title,
+        run: () => deleteProject(project.id),
+      })),
+      ...filters.map((filter) => ({
+        id: `delete-filter:${filter.id}`,
+        group: "Delete filter",
+        label: filter.name,
+        run: () => deleteFilter(filter.id),
+      })),
+      { id: "archive-logbook", group: "Logbook", label: "Archive all entries", run: archiveLogbook },
+      {
+        id: "shortcuts",
+        group: "Help",
+        label: "Keyboard shortcuts",
+        shortcutId: "help",
+        run: () => setShortcutsHelpOpen(true),
+      },
+    ];
+  }
+
+  async function archiveLogbook() {
+    const confirmed = window.confirm(
+      "Move every logbook entry into the monthly archives? Archived entries stay readable but can no longer be restored."
+    );
     if (!confirmed) return;
     try {
-      await tasksApi.clearLogbook();
+      const data = await tasksApi.archiveLogbook();
       setLogEntries([]);
+      setLogCursor(null);
+      setLogTotal(0);
+      if (Array.isArray(data?.archives)) setLogArchives(data.archives);
       setErrorMessage("");
     } catch (error) {
-      setErrorMessage(error.message || "Failed to clear logbook.");
+      setErrorMessage(error.message || "Failed to archive the logbook.");
     }
   }
 
@@ -847,9 +4362,17 @@ export default function App() {
         isOpen={sidebarOpen}
         onClose={() => setSidebarOpen(false)}
         activeView={activeView}
-        onSelectView={setActiveView}
+        onSelectView={selectView}
+        viewCounts={viewCounts}
+        projects={projects}
+        projectCounts={projectCounts}
+        onCreateProject={createProject}
+        filters={filters}
+        filterCounts={filterCounts}
+        onCreateFilter={() => openFilterEditor()}
       />
       <main className="main">
+        <SearchBar onOpenTask={openTaskEditor} inputRef={searchInputRef} />
         {errorMessage && (
           <div className="errorBanner" role="status">
             {errorMessage}
@@ -858,14 +4381,35 @@ export default function App() {
         {activeView === "Logbook" ? (
           <LogbookView
             entries={logEntries}
+            total={logTotal}
+            hasMore={Boolean(logCursor)}
+            filters={logFilters}
+            onFiltersChange={setLogFilters}
+            archives={logArchives}
+            tasks={tasks}
+            tagOptions={tagPool}
+            projects={projects}
             isLoading={logbookLoading}
-            onRefresh={loadLogbook}
-            onClear={clearLogbook}
+            onRefresh={() => loadLogbook()}
+            onLoadMore={loadMoreLogbook}
+            onArchiveAll={archiveLogbook}
+            onRestore={restoreLogEntry}
+          />
+        ) : activeView === "Tags" ? (
+          <TagManagerView
+            tasks={tasks}
+            tagMeta={tagMeta}
+            onUpdateTagMeta={updateTagMeta}
+            onClearTagMeta={clearTagMeta}
+            onRenameTag={renameTag}
+            onMergeTags={mergeTags}
+            onDeleteTag={deleteTagEverywhere}
           />
         ) : (
           <TaskList
-            title="Inbox"
-            tasks={tasks}
+            key={activeView}
+            title={activeProject?.title ?? activeFilter?.name ?? (activeView in VIEW_BUCKETS ? activeView : "Inbox")}
+            tasks={viewTasks}
             onAddTask={addTask}
             onToggleTask={toggleTask}
             onOpenEditTask={openTaskEditor}
@@ -879,16 +4423,85 @@ export default function App() {
             onToggleFilterTag={toggleFilterTag}
             onClearFilterTags={clearFilterTags}
             onDeleteCompletedTasks={deleteCompletedTasks}
+            onBatchAction={runBatchAction}
+            onDeleteTask={deleteTask}
+            shortcutBindings={shortcutBindings}
+            inputRef={quickEntryRef}
+            autoFocusInput={quickEntryAutoFocus}
+            sortMode={sortModes[activeView] ?? "manual"}
+            onChangeSortMode={changeSortMode}
+            groupTasks={activeView === "Upcoming" ? groupTasksByUpcomingDay : undefined}
+            emptyMessage={VIEW_EMPTY_MESSAGES[activeView] ?? null}
+            defaultBucket={activeProject ? "anytime" : VIEW_BUCKETS[activeView] ?? "inbox"}
+            notes={activeProject?.notes}
+            headerActions={
+              activeProject ? (
+                <button
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => setEditingProjectId(activeProject.id)}
+                >
+                  Edit Project
+                </button>
+              ) : activeFilter ? (
+                <button
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => setFilterDraft(activeFilter)}
+                >
+                  Edit Filter
+                </button>
+              ) : null
+            }
+            onSaveFilter={(tags) => openFilterEditor({ tags })}
+            tagMeta={tagMeta}
           />
         )}
       </main>
       {editingTask && (
         <EditTaskModal
+          key={`${editingTask.id}:${editorRevision}`}
           task={editingTask}
+          externalChange={externalChange?.taskId === editingTask.id ? externalChange : null}
+          onReloadLatest={reloadEditingTask}
           onClose={closeTaskEditor}
           onSave={saveTask}
           onDeleteTask={deleteTask}
+          onLoadHistory={tasksApi.taskHistory}
+          onUploadAttachments={uploadAttachments}
+          onDeleteAttachment={deleteAttachment}
+          projects={projects}
           tagOptions={tagPool}
+          tagMeta={tagMeta}
+        />
+      )}
+      {filterDraft && (
+        <FilterEditorModal
+          filter={filterDraft}
+          tagOptions={tagPool}
+          onClose={() => setFilterDraft(null)}
+          onSave={saveFilter}
+          onDeleteFilter={deleteFilter}
+        />
+      )}
+      {editingProject && (
+        <EditProjectModal
+          project={editingProject}
+          taskCount={tasks.filter((task) => task.projectId === editingProject.id).length}
+          onClose={() => setEditingProjectId(null)}
+          onSave={saveProject}
+          onDeleteProject={deleteProject}
+        />
+      )}
+      {paletteOpen && (
+        <CommandPalette commands={buildCommands()} bindings={shortcutBindings} onClose={() => setPaletteOpen(false)} />
+      )}
+      {shortcutsHelpOpen && (
+        <ShortcutsHelpModal
+          bindings={shortcutBindings}
+          onChangeBinding={changeShortcutBinding}
+          onResetBindings={() => setShortcutBindings(Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, action.keys])))}
+          onClose={() => setShortcutsHelpOpen(false)}
         />
       )}
     </div>